@@ -0,0 +1,96 @@
+/**
+ * Compares a World with and without the archetype query index (see archetypes.js). Both store components in the same
+ * per-type pools: the index speeds up all() over several types at the cost of spawns and component changes,
+ * and reading component values costs the same either way.
+ *
+ * Each scenario runs on a fresh World `runs` times, and the median time is reported.
+ *
+ * Usage: npm run bench [-- entities iterations runs]
+ */
+import World from '../src/ecs.js';
+import { Not } from '../src/filters.js';
+
+const [entityCount = 10000, iterations = 50, runs = 5] = process.argv.slice(2).map(Number);
+const WARMUP = 1000;
+const TYPES = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+const MODES = { 'pools only': false, 'archetype index': true };
+
+// each entity gets the first six types, plus a mix of the rest so that there are several archetypes
+function populate(world, count) {
+  for (let i = 0; i < count; i++) {
+    const entity = world.spawn();
+    for (const type of TYPES.slice(0, 6)) entity.add({ type, value: i });
+    if (i % 2) entity.add({ type: 'G', value: i });
+    if (i % 3) entity.add({ type: 'H', value: i });
+  }
+  return world;
+}
+
+function time(run) {
+  const start = performance.now();
+  run();
+  return performance.now() - start;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// every scenario but the first runs on a populated World; all() over a single type walks its pool in both modes
+const scenarios = {
+  'spawn with 6-8 components': (world, count) => populate(world, count),
+  'all() over 3 types': world => { for (let i = 0; i < iterations; i++) world.all('A', 'B', 'C'); },
+  'all() over 6 types': world => { for (let i = 0; i < iterations; i++) world.all('A', 'B', 'C', 'D', 'E', 'F'); },
+  'all() over 5 types and Not()': world => { for (let i = 0; i < iterations; i++) world.all('A', 'B', 'C', 'D', 'G', Not('H')); },
+  'read 3 components of all() results': world => {
+    let sum = 0;
+    for (let i = 0; i < iterations; i++) {
+      for (const entity of world.all('A', 'B', 'G')) {
+        sum += world.getComponent(entity, 'A').value + world.getComponent(entity, 'B').value + world.getComponent(entity, 'G').value;
+      }
+    }
+    return sum;
+  },
+  'read 3 components with Query.forEach': world => {
+    let sum = 0;
+    const query = world.query({ all: ['A', 'B', 'G'] });
+    for (let i = 0; i < iterations; i++) {
+      query.forEach((entity, a, b, g) => { sum += a.value + b.value + g.value; });
+    }
+    return sum;
+  },
+  'add and remove a component on every entity': world => {
+    for (const entity of world.all('A')) world.addComponent(entity, { type: 'Z' });
+    for (const entity of world.all('Z')) world.removeComponent(entity, 'Z');
+  },
+  'destroy every entity': world => { for (const entity of world.all('A')) world.destroy(entity); },
+};
+
+function pass(archetypeIndex, count) {
+  const world = new World(count, { archetypeIndex });
+  return Object.values(scenarios).map(run => time(() => run(world, count)));
+}
+
+// let the JIT settle on both modes before measuring either
+for (const archetypeIndex of Object.values(MODES)) pass(archetypeIndex, WARMUP);
+
+// alternate the modes so that neither always runs first
+const times = Object.fromEntries(Object.keys(MODES).map(mode => [mode, []]));
+for (let run = 0; run < runs; run++) {
+  for (const [mode, archetypeIndex] of Object.entries(MODES)) {
+    times[mode].push(pass(archetypeIndex, entityCount));
+  }
+}
+
+const results = {};
+Object.keys(scenarios).forEach((name, s) => {
+  results[name] = {};
+  for (const mode of Object.keys(MODES)) {
+    results[name][`${mode} (ms)`] = Number(median(times[mode].map(run => run[s])).toFixed(2));
+  }
+});
+
+console.log(`${entityCount} entities, ${iterations} iterations per query, median of ${runs} runs`);
+console.table(results);
@@ -1,2 +1,9 @@
 import World from "./src/ecs.js";
-export default World;
\ No newline at end of file
+export { makeHandle, indexOf, generationOf } from "./src/handle.js";
+export { Not, Added, Changed, Removed, Pair, Wildcard } from "./src/filters.js";
+export { FrameSignal, WorldView } from "./src/shared.js";
+export { every, changed, resourceChanged } from "./src/conditions.js";
+export { default as Loop } from "./src/loop.js";
+export { Tag } from "./src/tags.js";
+export { PARENT } from "./src/hierarchy.js";
+export default World;
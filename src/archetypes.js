@@ -0,0 +1,149 @@
+/**
+ * An Archetype lists every entity with exactly the same set of component types. It holds no component data.
+ * The list is kept dense: removing an entity moves the last one into its place.
+ */
+export class Archetype {
+  /**
+   * @param {string[]} types Sorted component type names.
+   */
+  constructor(types) {
+    this.types = types;
+    this.typeSet = new Set(types);
+    this.key = Archetypes.key(types);
+    this.entities = [];
+    this.rows = new Map(); // entity => row
+    // neighbouring archetypes, by the type added or removed to reach them
+    this.edges = { add: new Map(), remove: new Map() };
+  }
+
+  get size() {
+    return this.entities.length;
+  }
+
+  push(entity) {
+    this.rows.set(entity, this.entities.length);
+    this.entities.push(entity);
+  }
+
+  delete(entity) {
+    const row = this.rows.get(entity);
+    if (row === undefined) return false;
+    const last = this.entities.pop();
+    if (last !== entity) {
+      this.entities[row] = last;
+      this.rows.set(last, row);
+    }
+    this.rows.delete(entity);
+    return true;
+  }
+}
+
+/**
+ * Archetypes is a query index: it groups a World's entities into Archetypes by their exact set of component types, so that
+ * queries match whole Archetypes instead of probing a pool per entity. Which Archetypes match a query is cached, and kept up to date as new ones appear.
+ * It is not a storage layout: component data stays in the World's per-type pools, and reading it still costs a lookup per pool.
+ */
+export default class Archetypes {
+  #tables;
+  #archetypeOf;
+  #matches;
+
+  constructor() {
+    this.#tables = new Map(); // key => Archetype
+    this.#archetypeOf = new Map(); // entity => Archetype
+    this.#matches = new Map(); // query key => {all, none, archetypes}
+    this.#table([]);
+  }
+
+  static key(types) {
+    return types.join(',');
+  }
+
+  #table(types) {
+    const key = Archetypes.key(types);
+    let archetype = this.#tables.get(key);
+    if (archetype) return archetype;
+    archetype = new Archetype(types);
+    this.#tables.set(key, archetype);
+    for (const match of this.#matches.values()) {
+      if (Archetypes.#accepts(archetype, match)) match.archetypes.push(archetype);
+    }
+    return archetype;
+  }
+
+  static #accepts(archetype, { all, none }) {
+    return all.every(typeName => archetype.typeSet.has(typeName)) && !none.some(typeName => archetype.typeSet.has(typeName));
+  }
+
+  #move(entity, from, to) {
+    from.delete(entity);
+    to.push(entity);
+    this.#archetypeOf.set(entity, to);
+  }
+
+  /**
+   * Adds a new entity, without components.
+   */
+  insert(entity) {
+    const archetype = this.#table([]);
+    archetype.push(entity);
+    this.#archetypeOf.set(entity, archetype);
+  }
+
+  /**
+   * Moves an entity to the Archetype with one more component type. Does nothing if it already has the type.
+   */
+  add(entity, typeName) {
+    const from = this.#archetypeOf.get(entity);
+    if (!from || from.typeSet.has(typeName)) return;
+    let to = from.edges.add.get(typeName);
+    if (!to) {
+      to = this.#table([...from.types, typeName].sort());
+      from.edges.add.set(typeName, to);
+      to.edges.remove.set(typeName, from);
+    }
+    this.#move(entity, from, to);
+  }
+
+  /**
+   * Moves an entity to the Archetype with one component type fewer.
+   */
+  remove(entity, typeName) {
+    const from = this.#archetypeOf.get(entity);
+    if (!from?.typeSet.has(typeName)) return;
+    let to = from.edges.remove.get(typeName);
+    if (!to) {
+      to = this.#table(from.types.filter(type => type !== typeName));
+      from.edges.remove.set(typeName, to);
+      to.edges.add.set(typeName, from);
+    }
+    this.#move(entity, from, to);
+  }
+
+  /**
+   * Forgets a destroyed entity.
+   */
+  delete(entity) {
+    const archetype = this.#archetypeOf.get(entity);
+    if (!archetype) return false;
+    archetype.delete(entity);
+    this.#archetypeOf.delete(entity);
+    return true;
+  }
+
+  /**
+   * @returns the Archetypes with every type in all and none in none. The result is cached and grows as Archetypes are created.
+   * @param {string[]} all
+   * @param {string[]} none
+   */
+  match(all, none = []) {
+    const key = `${[...all].sort()}|${[...none].sort()}`;
+    let match = this.#matches.get(key);
+    if (!match) {
+      match = { all: [...all], none: [...none], archetypes: [] };
+      match.archetypes = [...this.#tables.values()].filter(archetype => Archetypes.#accepts(archetype, match));
+      this.#matches.set(key, match);
+    }
+    return match.archetypes;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * A CommandBuffer records structural changes (spawn, destroy, add, remove) to apply to a World later with flush(),
+ * so they can be issued while iterating pools or queries without disturbing the iteration.
+ */
+export default class CommandBuffer {
+  #world;
+  #reserve;
+  #spawnReserved;
+  #commands;
+
+  /**
+   * @param {World} world World the commands apply to.
+   * @param {{reserve: function, spawnReserved: function}} spawner World internals for reserving an entity handle now and spawning it on flush.
+   */
+  constructor(world, { reserve, spawnReserved }) {
+    this.#world = world;
+    this.#reserve = reserve;
+    this.#spawnReserved = spawnReserved;
+    this.#commands = [];
+  }
+
+  /**
+   * @returns the number of commands waiting to be flushed.
+   */
+  get size() {
+    return this.#commands.length;
+  }
+
+  /**
+   * @returns the handles reserved by spawn() commands that have not been flushed yet, in reservation order.
+   */
+  get reserved() {
+    return this.#commands.filter(([command]) => command === 'spawn').map(([, entity]) => entity);
+  }
+
+  /**
+   * Records spawning an entity with the given components.
+   * @returns the entity's handle, reserved right away so that later commands can refer to it. It is not alive until flushed.
+   */
+  spawn(...components) {
+    const entity = this.#reserve();
+    this.#commands.push(['spawn', entity]);
+    for (const component of components) {
+      this.#commands.push(['add', entity, component]);
+    }
+    return entity;
+  }
+
+  destroy(entity) {
+    this.#commands.push(['destroy', entity]);
+    return this;
+  }
+
+  add(entity, component) {
+    this.#commands.push(['add', entity, component]);
+    return this;
+  }
+
+  remove(entity, type) {
+    this.#commands.push(['remove', entity, type]);
+    return this;
+  }
+
+  /**
+   * Applies the recorded commands in order. Commands recorded while flushing (by hooks, for example) are applied in the same flush.
+   * If a command throws, the error propagates and the commands after it stay queued for the next flush.
+   * @returns the number of commands applied.
+   */
+  flush() {
+    const commands = this.#commands;
+    let i = 0;
+    try {
+      for (; i < commands.length; i++) {
+        const [command, entity, arg] = commands[i];
+        switch (command) {
+          case 'spawn':
+            this.#spawnReserved(entity);
+            break;
+          case 'destroy':
+            this.#world.destroy(entity);
+            break;
+          case 'add':
+            this.#world.addComponent(entity, arg);
+            break;
+          case 'remove':
+            this.#world.removeComponent(entity, arg);
+            break;
+        }
+      }
+    } finally {
+      // drop the applied commands, and one that threw, so that the next flush does not repeat them
+      commands.splice(0, i + 1);
+    }
+    return i;
+  }
+}
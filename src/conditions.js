@@ -0,0 +1,35 @@
+/**
+ * Run conditions for World.registerSystem's `runIf` option. Each is called with (world, ...update args)
+ * before the system would run, and the system is skipped when it returns false.
+ */
+
+/**
+ * Runs the system on every nth update, starting with the first.
+ * @param {number} n
+ */
+export function every(n) {
+  if (!Number.isInteger(n) || n < 1) {
+    throw new TypeError('n must be a positive integer.');
+  }
+  return world => world.tick % n === 0;
+}
+
+/**
+ * Runs the system when a component of the given type was added, changed, or removed since changes were last cleared.
+ * @param {*} type Component type as a Class, object, or string.
+ */
+export function changed(type) {
+  return world => {
+    const pool = world.getPool(type);
+    if (!pool) return false;
+    return !pool.added().next().done || !pool.changed().next().done || !pool.removed().next().done;
+  };
+}
+
+/**
+ * Runs the system when a resource of the given type was set, removed, or marked changed since changes were last cleared.
+ * @param {*} type Resource type as a Class, object, or string.
+ */
+export function resourceChanged(type) {
+  return world => world.wasResourceChanged(type);
+}
@@ -1,8 +1,23 @@
-import Pool from './pool.js';
+import Pool, { double, uintArrayFor } from './pool.js';
+import Query from './query.js';
+import { Filter, Wildcard } from './filters.js';
+import CommandBuffer from './commands.js';
+import { encodeSnapshot, decodeSnapshot, isSnapshot } from './snapshot.js';
+import { FrameSignal } from './shared.js';
+import Scheduler from './scheduler.js';
+import Hierarchy, { PARENT } from './hierarchy.js';
+import RelationIndex from './relations.js';
+import Prefabs from './prefabs.js';
+import Archetypes from './archetypes.js';
+import Group from './group.js';
+import Events, { EventReader } from './events.js';
+import { TagComponent } from './tags.js';
+import { normalizeSchema, applySchema, columnsFor } from './schema.js';
+import { INDEX_MASK, indexOf, generationOf, nextGeneration } from './handle.js';
 
 /**
  * A World instance manages entities, components, and systems.
- * (Lowercase) entities are numeric IDs assigned by the World instance
+ * (Lowercase) entities are numeric handles assigned by the World instance, packing an index and a generation (see handle.js).
  * Components are plain data wrapped in a named class for pooling.
  * Systems are (optionally) ordered functions iterated over entities of select components.
  */
@@ -14,25 +29,114 @@ export default class World {
   #capacity;
   #maxEntity;
   #systems;
+  #queries;
+  #hooks;
+  #commands;
+  #flush;
+  #growth;
+  #definitions;
+  #resources;
+  #changedResources;
+  #hierarchy;
+  #relations;
+  #relationTypes;
+  #prefabs;
+  #archetypes;
+  #groups;
+  #events;
+  #shared;
+  #signal;
+  #tick;
+  #ranThisTick;
 
-  constructor(capacity) {
+  /**
+   * @param {number} capacity Maximum quantity of entities in the World.
+   * @param {object} options
+   * @param {'frame'|'system'|'manual'} options.flush When update() flushes the world's command buffer: once at the end of the frame,
+   * also between systems, or only when flush() is called.
+   * @param {boolean|function} options.growth Grow the World and its pools past capacity instead of throwing when full:
+   * true doubles them, or pass a strategy `(current, required) => newSize`.
+   * @param {boolean} options.shared Keep component pools in SharedArrayBuffers so worker threads can attach to them (see share()). Cannot grow.
+   * @param {boolean} options.archetypeIndex Index entities by their exact set of component types (see archetypes.js).
+   * Components are still stored in the per-type pools; the index only speeds up all() and the first fill of a new query over many types.
+   * Spawning, destroying, and adding or removing components get slower, and systems and existing queries do not use it.
+   */
+  constructor(capacity, { flush = 'frame', growth = false, shared = false, archetypeIndex = false } = {}) {
+    if (!['frame', 'system', 'manual'].includes(flush)) {
+      throw new TypeError('flush must be "frame", "system", or "manual".');
+    }
+    if (typeof archetypeIndex !== 'boolean') {
+      throw new TypeError('archetypeIndex must be a boolean.');
+    }
+    if (capacity - 1 > INDEX_MASK) {
+      throw new RangeError(`capacity exceeds the maximum number of addressable entities: ${INDEX_MASK + 1}.`);
+    }
     this.#nextId = 0;
     this.#entities = new Set();
     this.#recycledEntities = [];
     this.#pools = new Map();
     this.#capacity = capacity;
     this.#maxEntity = capacity - 1;
-    this.#systems = []; // {name, priority, func}
+    this.#systems = new Scheduler();
+    this.#tick = 0;
+    this.#ranThisTick = 0;
+    this.#queries = new Map(); // key => Query
+    this.#definitions = new Map(); // typeName => {Class, fields, fromJSON, toJSON, tag}
+    this.#resources = new Map(); // typeName => value
+    this.#changedResources = new Set();
+    this.#hooks = {
+      add: new Map(), // typeName => Set of callbacks
+      set: new Map(),
+      remove: new Map(),
+      destroy: new Set(),
+    };
+
+    // index Parent components, however they are set
+    this.#hierarchy = new Hierarchy();
+    this.onSet(PARENT, (child, { entity: parent }) => this.#hierarchy.link(child, parent));
+    this.onRemove(PARENT, child => this.#hierarchy.unlink(child));
+    this.#relations = new RelationIndex();
+    this.#relationTypes = new Set();
+    this.#prefabs = new Prefabs();
+    this.#archetypes = archetypeIndex ? new Archetypes() : null;
+    this.#groups = new Map(); // typeName => Group owning its pool
+    this.#events = new Map(); // typeName => Events
+
+    this.#flush = flush;
+    this.#growth = growth === true ? double : (growth || null);
+    if (shared && this.#growth) {
+      throw new TypeError('Shared worlds cannot grow.');
+    }
+    this.#shared = shared;
+    this.#signal = shared ? new FrameSignal() : null;
+    this.#commands = new CommandBuffer(this, {
+      reserve: () => this.#allocate(),
+      spawnReserved: entity => this.#activate(entity),
+    });
   }
 
   get state() {
+    return this.#collectState(false);
+  }
+
+  /**
+   * @param {boolean} columns Give column pools as `{ entities, columns }`, as encodeSnapshot() writes them, rather than a component per entity.
+   */
+  #collectState(columns) {
     // Convert Map of Pool objects to plain arrays:
     // [typeName, [[entity, component], ...], ...]
     const pools = [];
     for (const [typeName, pool] of this.#pools.entries()){
+      if (columns && pool.columnNames.length > 0 && !this.#definitions.get(typeName)?.toJSON) {
+        pools.push([typeName, {
+          entities: Array.from(pool.keys()),
+          columns: Object.fromEntries(pool.columnNames.map(name => [name, pool.column(name).subarray(0, pool.size)])),
+        }]);
+        continue;
+      }
       const poolData = [];
       for (const entity of pool.keys()){
-        poolData.push([entity, pool.get(entity)]);
+        poolData.push([entity, this.#toJSON(typeName, pool.get(entity), pool)]);
       }
       pools.push([typeName, poolData]);
     }
@@ -40,106 +144,502 @@ export default class World {
     return {
       nextId: this.#nextId,
       entities: Array.from(this.#entities),
-      recycledEntities: this.#recycledEntities,
+      // unflushed commands are not saved, so the handles they reserved are saved as free, to be handed out first
+      recycledEntities: [...this.#recycledEntities, ...this.#commands.reserved.reverse()],
       pools,
+      resources: [...this.#resources].map(([typeName, value]) => [typeName, this.#toJSON(typeName, value)]),
+      relations: [...this.#relationTypes],
+      tags: [...this.#definitions].filter(([, definition]) => definition.tag).map(([typeName]) => typeName),
       capacity: this.#capacity,
       maxEntity: this.#maxEntity,
+      growth: this.#growth !== null,
       // systems: this.#systems.map(s => ({
       //   name: s.name, priority: s.priority
       // })) // cannot store func, must rebuild
     }
   }
 
-  serialize() {
-    // Convert state to JSON
-    const json = JSON.stringify(this.state);
-    // Encode JSON to binary
-    const data = new TextEncoder().encode(json);
-    return new Blob([data], { type: 'application/octet-stream' });
+  /**
+   * Encodes the World as a Blob, in the binary snapshot format by default (see snapshot.js). Column pools are written there as raw columns.
+   * Commands not yet flushed are not saved; entities they reserved are saved as free handles.
+   * @param {object} options
+   * @param {'binary'|'json'} options.format 'json' writes the `state` object as JSON instead.
+   * @returns {Blob}
+   */
+  serialize({ format = 'binary' } = {}) {
+    switch (format) {
+      case 'binary':
+        return new Blob([encodeSnapshot(this.#collectState(true))], { type: 'application/octet-stream' });
+      case 'json':
+        return new Blob([JSON.stringify(this.state)], { type: 'application/json' });
+      default:
+        throw new TypeError('format must be "binary" or "json".');
+    }
   }
 
-  static async deserialize(blob) {
-    // Read binary from blob
-    const data = new Uint16Array(await blob.arrayBuffer());
-    // Decode binary to JSON
-    const json = new TextDecoder().decode(data);
-    // Parse JSON to object
-    const state = JSON.parse(json);
+  /**
+   * Rebuilds a World from serialize() output. Binary snapshots and JSON are told apart by the snapshot header.
+   * @param {Blob|ArrayBuffer|Uint8Array|string|object} data A Blob or bytes from serialize(), a JSON string, or a `state` object.
+   * @param {object} options Constructor options for the new World. A World saved while growable is restored with doubling growth unless options say otherwise.
+   * @param {Array} options.components Component types (or `[type, options]` pairs) to register with registerComponent() before the components
+   * are restored, so that they are validated and rebuilt as class instances.
+   */
+  static async deserialize(data, options = {}) {
+    let state = data;
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      data = await data.arrayBuffer();
+    }
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+    if (data instanceof Uint8Array) {
+      state = isSnapshot(data) ? decodeSnapshot(data) : new TextDecoder().decode(data);
+    }
+    if (typeof state === 'string') {
+      state = JSON.parse(state);
+    }
+
     // Reconstruct the World instance
-    const world = new World(state.capacity);
+    const world = new World(state.capacity, { growth: state.growth ?? false, ...options });
     world.#nextId = state.nextId;
     world.#entities = new Set(state.entities);
-    world.#recycledEntities = state.recycledEntities;
+    world.#recycledEntities = [...state.recycledEntities];
+
+    for (const component of options.components ?? []) {
+      const [type, definition] = Array.isArray(component) ? component : [component];
+      world.registerComponent(type, definition);
+    }
+
+    for (const entity of world.#entities) {
+      world.#archetypes?.insert(entity);
+    }
+    const tags = new Set(state.tags);
+    const relations = new Set(state.relations);
 
     // Restore components
     for (const [typeName, poolData] of state.pools){
-      world.registerComponent(typeName);
+      if (relations.has(typeName)) world.#registerRelation(typeName);
+      else world.registerComponent(typeName, { tag: tags.has(typeName) });
       const pool = world.#pools.get(typeName);
       for (const [entity, component] of poolData){
-        pool.add(entity, component);
+        pool.add(entity, world.#prepareComponent(typeName, component));
+        world.#archetypes?.add(entity, typeName);
       }
     }
 
+    for (const [typeName, value] of state.resources ?? []) {
+      world.#resources.set(typeName, world.#definitions.has(typeName) ? world.#prepareComponent(typeName, value) : value);
+    }
+
+    for (const [child, { entity: parent }] of world.#pools.get(PARENT)?.entries() ?? []) {
+      world.#hierarchy.link(child, parent);
+    }
+    for (const typeName of world.#relationTypes) {
+      for (const [source, { targets }] of world.#pools.get(typeName).entries()) {
+        world.#relations.set(typeName, source, targets.keys());
+      }
+    }
+
+    // loading is not a change
+    world.clearChanges();
     return world;
   }
   
-  registerSystem(systemCallback, priority = 0) {
-    const name = systemCallback.name;
+  /**
+   * Adds a system, keyed by its function's name.
+   * @param {function} systemCallback Called with update()'s arguments.
+   * @param {number|object} options Priority, or:
+   * @param {string} options.stage Stage to run in: 'preUpdate', 'update' (default), 'postUpdate', 'render', or one added with addStage().
+   * @param {number} options.priority Higher priorities run first among systems whose constraints allow it. Ties run in name order.
+   * @param {Array} options.before Systems (functions or names) in the same stage this one must run before.
+   * @param {Array} options.after Systems (functions or names) in the same stage this one must run after.
+   * @param {function} options.runIf Run condition `(world, ...args) => boolean`, such as every() or changed() from conditions.js.
+   * @returns true if registered, or false if a system with the same name exists. Throws on cyclic constraints.
+   */
+  registerSystem(systemCallback, options = 0) {
+    const { stage = 'update', priority = 0, before = [], after = [], runIf = null } =
+      typeof options === 'number' ? { priority: options } : options;
+    const toName = system => typeof system === 'function' ? system.name : system;
 
-    let system = { name: name, system: systemCallback, priority: priority };
-    if (this.getSystem(name)) return false;
-    this.#systems.push(system);
-    this.#systems.sort((a, b) => a.name - b.name);
-    this.#systems.sort((a, b) => b.priority - a.priority);
-    return true;
+    return this.#systems.add({
+      name: systemCallback.name,
+      system: systemCallback,
+      stage,
+      priority,
+      before: before.map(toName),
+      after: after.map(toName),
+      runIf,
+    });
   }
 
   getSystem(system) {
     const name = typeof system === 'function' ? system.name : system;
-    return this.#systems.find((s) => s.name === name);
+    return this.#systems.get(name);
   }
 
-  deregisterSystem(name) {
-    const system = this.getSystem(name);
-    if (!system) return false;
-    this.#systems.splice(this.#systems.indexOf(system), 1);
-    return true;
+  deregisterSystem(system) {
+    const name = typeof system === 'function' ? system.name : system;
+    return this.#systems.remove(name);
   }
 
-  with(systemCallback, priority = 0) {
-    this.registerSystem(systemCallback, priority);
+  /**
+   * Adds a system that declares the entities it works on. Before each run the World passes it the matching entities
+   * and a context object that lasts for the life of the system.
+   * @param {object} definition
+   * @param {string} definition.name Unique system name.
+   * @param {object} definition.query Filters for world.query(). The system receives the persistent Query (iterable, with size and forEach).
+   * @param {function} definition.run Called as `run(entities, ctx)`, where ctx is
+   * `{ world, dt, args, commands, resource, events, state }`: dt is update()'s first argument, args all of them,
+   * resource(type) a shortcut for world.getResource(type), events(type) this system's own EventReader for the type,
+   * and state this system's own state.
+   * @param {*} definition.state Initial state, or a function returning it.
+   * Other properties (stage, priority, before, after, runIf) are registerSystem() options.
+   * @returns true if registered, or false if a system with the same name exists.
+   */
+  system({ name, query, run, state, ...options }) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('A system needs a name.');
+    }
+    if (typeof run !== 'function') {
+      throw new TypeError(`System "${name}" needs a run function.`);
+    }
+    if (this.getSystem(name)) return false;
+
+    const entities = query ? this.query(query) : null;
+    const readers = new Map();
+    const ctx = {
+      world: this,
+      dt: undefined,
+      args: [],
+      commands: this.#commands,
+      resource: type => this.getResource(type),
+      events: type => {
+        const typeName = this.#validateComponent(type);
+        if (!readers.has(typeName)) readers.set(typeName, this.events(typeName));
+        return readers.get(typeName);
+      },
+      state: typeof state === 'function' ? state() : state,
+    };
+    const system = (...args) => {
+      ctx.dt = args[0];
+      ctx.args = args;
+      run.call(ctx, entities, ctx);
+    };
+    Object.defineProperty(system, 'name', { value: name });
+    return this.registerSystem(system, options);
+  }
+
+  with(systemCallback, options = 0) {
+    this.registerSystem(systemCallback, options);
     return this;
   }
 
+  /**
+   * Adds a stage for systems, at the end or relative to an existing stage.
+   * @param {string} name
+   * @param {{before?: string, after?: string}} position
+   */
+  addStage(name, position) {
+    return this.#systems.addStage(name, position);
+  }
+
+  /**
+   * @returns the stage names in the order update() runs them.
+   */
+  get stages() {
+    return this.#systems.stages;
+  }
+
+  /**
+   * @returns the number of completed updates.
+   */
+  get tick() {
+    return this.#tick;
+  }
+
+  /**
+   * Runs the systems of every stage in order, then clears change tracking and flushes the command buffer
+   * (unless flushing is manual), so structural changes made through commands() are seen as changes by the next update.
+   */
   update(...args) {
-    for (const prioritizedSystem of this.#systems) {
-      prioritizedSystem.system(...args);
+    for (const stage of this.#systems.stages) {
+      this.runStage(stage, ...args);
     }
+    this.clearChanges();
+    this.#endTick();
+  }
+
+  /**
+   * Runs the given stages as one tick, like update(), and clears change tracking as it does, but keeps the events.
+   * For drivers such as Loop that run several ticks per frame and drop old events once per frame.
+   */
+  tickStages(stages, ...args) {
+    for (const stage of stages) {
+      this.runStage(stage, ...args);
+    }
+    this.clearChanges({ events: false });
+    this.#endTick();
+  }
+
+  /**
+   * Runs the systems of one stage, without ending the tick.
+   */
+  runStage(stage, ...args) {
+    for (const { system, runIf } of this.#systems.ordered(stage)) {
+      if (runIf && !runIf(this, ...args)) continue;
+      if (this.#ranThisTick > 0 && this.#flush === 'system') this.#commands.flush();
+      system(...args);
+      this.#ranThisTick++;
+    }
+  }
+
+  #endTick() {
+    if (this.#flush !== 'manual') this.#commands.flush();
+    this.#ranThisTick = 0;
+    this.#tick++;
+  }
+
+  /**
+   * When update() flushes the command buffer: 'frame', 'system', or 'manual'.
+   */
+  get flushMode() {
+    return this.#flush;
+  }
+
+  /**
+   * @returns the world's CommandBuffer, for deferring spawn/destroy/add/remove while iterating.
+   */
+  commands() {
+    return this.#commands;
+  }
+
+  /**
+   * Applies every command recorded in the world's CommandBuffer.
+   * @returns the number of commands applied.
+   */
+  flush() {
+    return this.#commands.flush();
+  }
+
+  /**
+   * @returns a boolean indicating whether the handle refers to a living entity. Handles kept after their entity was destroyed are not alive, even once the index is reused.
+   */
+  isAlive(entity) {
+    return this.#entities.has(entity);
   }
 
   spawn() {
-    if (this.#recycledEntities.length > 0) {
-      const entity = this.#recycledEntities.pop();
+    const entity = this.#allocate();
+    this.#activate(entity);
+    return new Entity(this, entity);
+  }
+
+  /**
+   * Spawns an entity with a copy of every component of another.
+   * Relations to other entities are copied along with the components, but children are not.
+   * @param {number} entity
+   * @param {object} options
+   * @param {'structured'|'shallow'|function} options.copy How to copy components: 'structured' deep-copies them with structuredClone,
+   * 'shallow' copies only their own fields, and a function `(component, typeName) => copy` copies them itself.
+   * Components are copied in their serialized form, so registered classes are rebuilt from the copy as for addComponent.
+   * @returns {Entity} the clone, or undefined if the entity is not alive.
+   */
+  clone(entity, { copy = 'structured' } = {}) {
+    if (!this.#entities.has(entity)) return undefined;
+    const copies = [];
+    for (const [typeName, pool] of this.#pools) {
+      if (pool.has(entity)) copies.push([typeName, this.#copyComponent(typeName, pool.get(entity), pool, copy)]);
+    }
+    const clone = this.spawn();
+    for (const [typeName, data] of copies) {
+      this.#setComponent(clone.id, typeName, data);
+    }
+    return clone;
+  }
+
+  /**
+   * Spawns many entities with the same components, deep-copied for each of them. Faster than spawning them one at a time:
+   * each pool is grown once and filled with Pool.addBatch(), and queries test each new entity once.
+   * Components are validated as by addComponent() before any entity is spawned.
+   * @param {number} count
+   * @param {...*} components Component instances or plain `{ type, ...fields }` data.
+   * @returns {number[]} the new entities.
+   */
+  spawnBatch(count, ...components) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new TypeError('count must be an unsigned integer.');
+    }
+    const free = this.#recycledEntities.length + this.#capacity - this.#nextId;
+    if (count > free && !this.#growth) {
+      throw new Error('World is full of entities.');
+    }
+    const templates = components.map(component => {
+      const typeName = this.#typeNameOf(component);
+      return [typeName, this.#prepareComponent(typeName, component)];
+    });
+    for (const [typeName, template] of templates) {
+      this.#assertComponent(null, typeName, template);
+      const pool = this.#poolFor(typeName);
+      if (!pool.growable && pool.size + count > pool.capacity) {
+        throw new Error(`Pool "${typeName}" cannot hold ${count} more components.`);
+      }
+    }
+
+    const entities = [];
+    for (let i = 0; i < count; i++) {
+      const entity = this.#allocate();
       this.#entities.add(entity);
-      return new Entity(this, entity);
+      this.#archetypes?.insert(entity);
+      entities.push(entity);
+    }
+    const batches = templates.map(([typeName, template]) => {
+      const pool = this.#pools.get(typeName);
+      const data = entities.map(() => this.#prepareComponent(typeName, this.#copyComponent(typeName, template, pool, 'structured')));
+      pool.addBatch(entities, data);
+      if (this.#archetypes) {
+        for (const entity of entities) this.#archetypes.add(entity, typeName);
+      }
+      const group = this.#groups.get(typeName);
+      if (group) {
+        for (const entity of entities) group.enter(entity);
+      }
+      return [typeName, data];
+    });
+
+    for (const entity of entities) {
+      for (const query of this.#queries.values()) {
+        query.refresh(entity);
+      }
+    }
+    for (const [typeName, data] of batches) {
+      for (let i = 0; i < count; i++) {
+        this.#fireHook('add', typeName, entities[i], data[i]);
+        this.#fireHook('set', typeName, entities[i], data[i]);
+      }
+    }
+    return entities;
+  }
+
+  /**
+   * Defines a named template of components to spawn entities from with spawnFrom(). Redefining a prefab replaces it.
+   * @param {string} name
+   * @param {Array} components Component instances or plain `{ type, ...fields }` data, deep-cloned for every entity spawned.
+   * @param {object} options
+   * @param {string} options.extends Name of a prefab whose components this one inherits. Components of the same type are merged field by field.
+   * @returns this
+   */
+  definePrefab(name, components, { extends: base = null } = {}) {
+    this.#prefabs.define(name, components, base);
+    // prefabs keep plain data, so their tags must be known as tags before spawning
+    for (const component of components) {
+      if (component instanceof TagComponent) this.registerComponent(component.type, { tag: true });
+    }
+    return this;
+  }
+
+  /**
+   * Defines prefabs from JSON, such as designer-authored files:
+   * `{ "Goblin": { "extends": "Monster", "components": [{ "type": "Health", "max": 30 }] } }`.
+   * @param {string|object} json
+   * @returns the names of the prefabs defined.
+   */
+  loadPrefabs(json) {
+    return this.#prefabs.load(json);
+  }
+
+  hasPrefab(name) {
+    return this.#prefabs.has(name);
+  }
+
+  deletePrefab(name) {
+    return this.#prefabs.delete(name);
+  }
+
+  /**
+   * Spawns an entity with a deep copy of a prefab's components.
+   * @param {string} name
+   * @param {object} overrides Fields to merge into the prefab's components, by type name, such as `{ Position: { x: 4 } }`.
+   * Types the prefab lacks are added, and null leaves a type out.
+   * @returns {Entity}
+   */
+  spawnFrom(name, overrides = {}) {
+    const components = this.#prefabs.resolve(name);
+    for (const [typeName, fields] of Object.entries(overrides)) {
+      if (fields === null) components.delete(typeName);
+      else components.set(typeName, { ...components.get(typeName), ...structuredClone(fields), type: typeName });
+    }
+    const entity = this.spawn();
+    for (const component of components.values()) {
+      this.addComponent(entity.id, component);
+    }
+    return entity;
+  }
+
+  // takes the next free handle without bringing it to life
+  #allocate() {
+    if (this.#recycledEntities.length > 0) {
+      return this.#recycledEntities.pop();
     }
     else if (this.#nextId >= this.#capacity) {
-      throw new Error('World is full of entities.');
+      if (!this.#growth || this.#capacity > INDEX_MASK) {
+        throw new Error('World is full of entities.');
+      }
+      // pools are created growable too, so they follow on their own as entities are added to them
+      this.#capacity = Math.min(INDEX_MASK + 1, Math.max(this.#capacity + 1, this.#growth(this.#capacity, this.#capacity + 1)));
+      this.#maxEntity = this.#capacity - 1;
     }
-    const entity = this.#nextId;
-    this.#nextId++;
+    return this.#nextId++;
+  }
+
+  #activate(entity) {
     this.#entities.add(entity);
-    return new Entity(this, entity);
+    this.#archetypes?.insert(entity);
+
+    // an entity without components still matches queries made only of "none" terms
+    for (const query of this.#queries.values()) {
+      query.refresh(entity);
+    }
   }
 
+  /**
+   * Destroys an entity and, first, all of its descendants.
+   * @returns true if destroyed, or false if the entity was not alive.
+   */
   destroy(entity) {
     if (!this.#entities.has(entity)) return false;
 
-    for (const pool of this.#pools.values()) {
-      pool.delete(entity);
+    for (const child of this.#hierarchy.children(entity)) {
+      this.destroy(child);
+    }
+
+    // destroy hooks run first, while the entity still has its components
+    for (const callback of [...this.#hooks.destroy]) {
+      callback(entity, this);
+    }
+
+    // relations targeting the entity go with it
+    for (const [typeName, sources] of this.#relations.relationsTo(entity)) {
+      for (const source of sources) {
+        this.removeRelation(source, typeName, entity);
+      }
+    }
+
+    for (const [typeName, pool] of this.#pools.entries()) {
+      const component = pool.get(entity);
+      this.#groups.get(typeName)?.leave(entity);
+      if (!pool.delete(entity)) continue;
+      this.#archetypes?.remove(entity, typeName);
+      this.#fireHook('remove', typeName, entity, component);
+    }
+    this.#archetypes?.delete(entity);
+    for (const query of this.#queries.values()) {
+      // Removed() queries still report the destroyed entity until changes are cleared
+      if (query.tracksChanges) query.refresh(entity);
+      else query.evict(entity);
     }
     this.#entities.delete(entity);
-    this.#recycledEntities.push(entity);
+    // recycle the index under a new generation so old handles go stale
+    this.#recycledEntities.push(nextGeneration(entity));
     return true;
   }
 
@@ -162,43 +662,200 @@ export default class World {
     }
   }
 
-  registerComponent(type) {
+  /**
+   * Creates a pool sized for this World. The index type is the narrowest that fits both the largest entity index and the pool's capacity,
+   * as with Pool.defaultSmall and Pool.defaultLarge, unless overridden.
+   */
+  #createPool({ capacity = this.#capacity, indexType, columns = null, prototype, shared = this.#shared, sorted = false } = {}) {
+    const UintXXArray = indexType ?? uintArrayFor(Math.max(this.#maxEntity, capacity - 1));
+    // growable pools start at the narrowest index type and widen it as they grow
+    return new Pool(capacity, this.#maxEntity, UintXXArray, this.#growth, columns, prototype, shared, sorted);
+  }
+
+  /**
+   * Creates the pool for a component type and records how its components are built. Only needed to override the defaults,
+   * as addComponent registers new types itself.
+   *
+   * Components of a registered Class are kept as instances of it: addComponent and deserialize rebuild plain `{ type, ...fields }`
+   * data with `fromJSON`, or else by assigning the fields to `new Class()`. Unregistered classes are flattened to plain data.
+   * @param {*} type Component type as a Class, object, or string.
+   * @param {object} options
+   * @param {number} options.capacity Maximum quantity of entities with this component, if fewer than the World's capacity.
+   * @param {TypedArrayConstructor} options.indexType Unsigned integer TypedArray constructor for the pool's sparse array.
+   * @param {object} options.schema Fields to validate and fill with defaults whenever a component is added or loaded (see schema.js).
+   * A schema of only numeric column types such as `{ x: 'f32', y: 'f32' }` stores the components in TypedArray columns (see getPool).
+   * @param {function} options.fromJSON Builds a component from its serialized data.
+   * @param {function} options.toJSON Converts a component to the data stored by serialize().
+   * @param {boolean} options.tag Register the type as a tag, stored without any data (see tag()).
+   * @param {boolean} options.sorted Keep the pool in entity order for a stable iteration order, at O(n) cost per addition and removal.
+   * @returns true if registered, or false if the type already has a pool (its definition is still updated).
+   */
+  registerComponent(type, { capacity, indexType, schema, fromJSON, toJSON, tag = false, sorted = false } = {}) {
     const typeName = this.#validateComponent(type);
+    const Class = typeof type === 'function' && !tag ? type : null;
+    const fields = schema ? normalizeSchema(schema) : null;
+    const hasData = Class || schema || fromJSON || toJSON;
+    if (tag && hasData) {
+      throw new TypeError(`Tag "${typeName}" cannot have a schema, fromJSON or toJSON.`);
+    }
+    // a pool cannot switch between storing data and storing none
+    const isTag = this.#definitions.get(typeName)?.tag ?? false;
+    if (this.#pools.has(typeName) && (tag ? !isTag : isTag && hasData)) {
+      throw new TypeError(`Component "${typeName}" is already registered as ${isTag ? 'a tag' : 'a data component'}.`);
+    }
+    if (tag) {
+      this.#definitions.set(typeName, { Class: null, fields: null, fromJSON: null, toJSON: null, tag: true });
+    } else if (hasData) {
+      this.#definitions.set(typeName, { Class, fields, fromJSON: fromJSON ?? null, toJSON: toJSON ?? null, tag: false });
+    }
     if (this.#pools.has(typeName)) return false;
-    this.#pools.set(typeName, new Pool(this.#capacity, this.#maxEntity));
+    this.#pools.set(typeName, this.#createPool({
+      capacity,
+      indexType,
+      // tags are column pools without columns
+      columns: tag ? {} : fields ? columnsFor(fields) : null,
+      sorted,
+      // column views of plain components still report their type
+      prototype: Class ? Class.prototype : { type: typeName },
+    }));
     return true;
   }
   deregisterComponent(type) {
     const typeName = this.#validateComponent(type);
     if (!this.#pools.has(typeName)) return false;
+    const pool = this.#pools.get(typeName);
     this.#pools.delete(typeName);
+    this.#definitions.delete(typeName);
+    // a group cannot keep packing a pool that is gone
+    this.#groups.get(typeName)?.release();
+    for (const owned of this.#groups.get(typeName)?.types ?? []) {
+      this.#groups.delete(owned);
+    }
+    for (const [entity, component] of pool.entries()) {
+      this.#archetypes?.remove(entity, typeName);
+      this.#refreshQueries(entity, typeName);
+      this.#fireHook('remove', typeName, entity, component);
+    }
     return true;
   }
 
-  addComponent(entity, component) {
-    if (!this.#entities.has(entity)) return false;
-    let typeName;
+  /**
+   * Builds the stored form of a component: an instance of its registered Class, or plain data otherwise, validated against its schema.
+   */
+  #prepareComponent(typeName, component) {
+    const definition = this.#definitions.get(typeName);
+    if (definition?.tag) return null;
+    const isInstance = typeof component === 'object' && component.constructor !== Object;
+    if (!definition) {
+      // Convert class instances to plain object data with a 'type' property
+      return isInstance ? { type: typeName, ...component } : component;
+    }
+
     let data = component;
+    if (!(definition.Class && component instanceof definition.Class)) {
+      if (definition.fromJSON) {
+        data = definition.fromJSON(component);
+      } else if (definition.Class) {
+        const { type, ...fields } = component;
+        data = Object.assign(new definition.Class(), fields);
+      } else if (definition.fields) {
+        // defaults are filled into a copy, never into the caller's object
+        data = { ...component };
+      }
+    }
+    if (definition.fields) applySchema(typeName, definition.fields, data);
+    return data;
+  }
 
-    // Convert class instances to plain object data with a 'type' property
-    if (typeof component === 'object' && component.constructor !== Object) {
-      typeName = component.constructor.name;
-      data = { type: typeName, ...component };
-    } else {
-      typeName = component.type;
+  #toJSON(typeName, component, pool) {
+    const definition = this.#definitions.get(typeName);
+    if (definition?.tag) return { type: typeName };
+    if (definition?.toJSON) return definition.toJSON(component);
+    if (pool?.columnNames.length > 0) {
+      // column views keep their fields on the prototype, where spreading does not reach
+      const data = { type: typeName };
+      for (const name of pool.columnNames) data[name] = component[name];
+      return data;
     }
+    if (definition?.Class) return { type: typeName, ...component };
+    return component;
+  }
+
+  #typeNameOf(component) {
+    if (component instanceof TagComponent) {
+      this.registerComponent(component.type, { tag: true });
+      return component.type;
+    }
+    const isInstance = typeof component === 'object' && component.constructor !== Object;
+    const typeName = isInstance ? component.constructor.name : component.type;
 
     // Verify plain object data has a 'type' property
-    if (!data.type) {
+    if (!typeName) {
       throw new TypeError(`Component "${component}" is missing a "type" property.`);
     }
+    return typeName;
+  }
 
-    let pool = this.#pools.get(typeName);
-    if (!pool) {
-      this.registerComponent(typeName);
-      pool = this.#pools.get(typeName);
-    };
-    return pool.add(entity, data);
+  #poolFor(typeName) {
+    if (!this.#pools.has(typeName)) this.registerComponent(typeName);
+    return this.#pools.get(typeName);
+  }
+
+  /**
+   * Copies a stored component for another entity, through its serialized form so that registered classes and columns are rebuilt.
+   * @param {'structured'|'shallow'|function} copy
+   */
+  #copyComponent(typeName, component, pool, copy) {
+    if (typeof copy === 'function') return copy(component, typeName);
+    const data = this.#toJSON(typeName, component, pool);
+    switch (copy) {
+      case 'structured':
+        return structuredClone(data);
+      case 'shallow':
+        return { ...data };
+      default:
+        throw new TypeError('copy must be "structured", "shallow", or a function.');
+    }
+  }
+
+  addComponent(entity, component) {
+    if (!this.#entities.has(entity)) return false;
+    return this.#setComponent(entity, this.#typeNameOf(component), component);
+  }
+
+  #setComponent(entity, typeName, component) {
+    const data = this.#prepareComponent(typeName, component);
+    this.#assertComponent(entity, typeName, data);
+    const pool = this.#poolFor(typeName);
+    const isNew = !pool.has(entity);
+    if (!pool.add(entity, data)) return false;
+    if (isNew) {
+      this.#archetypes?.add(entity, typeName);
+      this.#groups.get(typeName)?.enter(entity);
+    }
+    this.#refreshQueries(entity, typeName);
+    if (isNew) this.#fireHook('add', typeName, entity, data);
+    this.#fireHook('set', typeName, entity, data);
+    return true;
+  }
+
+  /**
+   * Tags an entity, such as `world.tag(entity, 'Player')`. Tags are components without data: they are stored in sparse sets
+   * without a component column, and used in queries like any other component. getComponent() returns a `{ type }` view for them,
+   * and hooks receive null as their component.
+   * @param {number} entity
+   * @param {*} type Tag type as a Class, object, or string.
+   * @returns true if tagged, or false if the entity is not alive.
+   */
+  tag(entity, type) {
+    if (!this.#entities.has(entity)) return false;
+    const typeName = this.#validateComponent(type instanceof TagComponent ? type.type : type);
+    this.registerComponent(typeName, { tag: true });
+    return this.#setComponent(entity, typeName, null);
+  }
+
+  untag(entity, type) {
+    return this.removeComponent(entity, type instanceof TagComponent ? type.type : type);
   }
 
   removeComponent(entity, type) {
@@ -206,7 +863,103 @@ export default class World {
     const typeName = this.#validateComponent(type);
     const pool = this.#pools.get(typeName);
     if (!pool) return false;
-    return pool.delete(entity);
+    const component = pool.get(entity);
+    this.#groups.get(typeName)?.leave(entity);
+    if (!pool.delete(entity)) return false;
+    this.#archetypes?.remove(entity, typeName);
+    this.#refreshQueries(entity, typeName);
+    this.#fireHook('remove', typeName, entity, component);
+    return true;
+  }
+
+  #subscribe(event, type, callback) {
+    const typeName = this.#validateComponent(type);
+    const hooks = this.#hooks[event];
+    if (!hooks.has(typeName)) hooks.set(typeName, new Set());
+    hooks.get(typeName).add(callback);
+    return () => hooks.get(typeName)?.delete(callback) ?? false;
+  }
+
+  #fireHook(event, typeName, entity, component) {
+    const callbacks = this.#hooks[event].get(typeName);
+    if (!callbacks) return;
+    // copy so callbacks may unsubscribe while running
+    for (const callback of [...callbacks]) {
+      callback(entity, component, this);
+    }
+  }
+
+  /**
+   * Calls back with (entity, component, world) after a component of the given type is first added to an entity.
+   * @returns a function that unsubscribes the callback.
+   */
+  onAdd(type, callback) {
+    return this.#subscribe('add', type, callback);
+  }
+
+  /**
+   * Calls back with (entity, component, world) after every addComponent of the given type, whether it added or overwrote the component.
+   * Runs after onAdd callbacks.
+   * @returns a function that unsubscribes the callback.
+   */
+  onSet(type, callback) {
+    return this.#subscribe('set', type, callback);
+  }
+
+  /**
+   * Calls back with (entity, component, world) after a component of the given type is removed from an entity,
+   * including the removals done by destroy() and deregisterComponent().
+   * @returns a function that unsubscribes the callback.
+   */
+  onRemove(type, callback) {
+    return this.#subscribe('remove', type, callback);
+  }
+
+  /**
+   * Calls back with (entity, world) when an entity is destroyed, before its components are removed.
+   * @returns a function that unsubscribes the callback.
+   */
+  onDestroy(callback) {
+    this.#hooks.destroy.add(callback);
+    return () => this.#hooks.destroy.delete(callback);
+  }
+
+  #refreshQueries(entity, typeName) {
+    for (const query of this.#queries.values()) {
+      if (query.watches(typeName)) query.refresh(entity);
+    }
+  }
+
+  /**
+   * @returns a structured-cloneable description of a shared World's pools and frame signal, to post to workers
+   * and open there with `new WorldView(descriptor)`. See shared.js for the ownership rule.
+   * @param {...*} types Component types to share. Every registered type when none are given.
+   */
+  share(...types) {
+    if (!this.#shared) {
+      throw new TypeError('Only worlds created with { shared: true } can be shared.');
+    }
+    const typeNames = types.length > 0 ? types.map(type => this.#validateComponent(type)) : [...this.#pools.keys()];
+    return {
+      signal: this.#signal.buffer,
+      // frames handed off before the worker attaches are still waited on from here
+      frame: this.#signal.frame,
+      pools: typeNames.filter(typeName => this.#pools.has(typeName)).map(typeName => [typeName, this.#pools.get(typeName).share()]),
+    };
+  }
+
+  /**
+   * The FrameSignal of a shared World, for handing frames off to workers. Null for unshared worlds.
+   */
+  get signal() {
+    return this.#signal;
+  }
+
+  /**
+   * @returns the Pool holding a component type, for direct access such as Pool.column(). Undefined if the type has no pool.
+   */
+  getPool(type) {
+    return this.#pools.get(this.#validateComponent(type));
   }
 
   getComponent(entity, type) {
@@ -219,28 +972,118 @@ export default class World {
     return this.#pools.get(typeName)?.has(entity) ?? false;
   }
 
-  all(...types) {
-    if (this.#pools.size === 0 || types.length === 0) return [];
-    const typeNames = types.map(type => this.#validateComponent(type));
-    if (typeNames.length === 1) {
-      const pool = this.#pools.get(typeNames[0]);
-      return [...pool.keys()];
+  /**
+   * Sorts component types and filters into lists of type names by how they constrain a query.
+   * Added() and Changed() types must also be present, so they are listed under "all" as well.
+   */
+  #parseTerms(types) {
+    const terms = { all: [], none: [], added: [], changed: [], removed: [], pairs: [], notPairs: [] };
+    for (const type of types) {
+      if (!(type instanceof Filter)) {
+        terms.all.push(this.#validateComponent(type));
+        continue;
+      }
+      const filter = type.kind === 'not' && type.component instanceof Filter ? type.component : type;
+      const typeName = this.#validateComponent(filter.component);
+      const target = filter.target instanceof Entity ? filter.target.id : filter.target;
+      switch (type.kind) {
+        case 'not':
+          if (filter.kind !== 'not' && filter.kind !== 'pair') {
+            throw new TypeError(`Not() only accepts component types and Pair() filters, not "${filter.kind}".`);
+          }
+          if (filter.kind === 'pair' && target !== Wildcard) terms.notPairs.push([typeName, target]);
+          else terms.none.push(typeName);
+          break;
+        case 'pair':
+          // a relation to any target is just the relation's component
+          terms.all.push(typeName);
+          if (target !== Wildcard) terms.pairs.push([typeName, target]);
+          break;
+        case 'added':
+        case 'changed':
+          terms.all.push(typeName);
+          terms[type.kind].push(typeName);
+          break;
+        case 'removed':
+          terms.removed.push(typeName);
+          break;
+        default:
+          throw new TypeError(`Unknown query filter "${type.kind}".`);
+      }
     }
+    return terms;
+  }
+
+  /**
+   * @returns the entities that have every given component type and none of the types wrapped in Not().
+   * Added(), Changed() and Removed() narrow the result to components that changed since the last clearChanges().
+   * Pair() requires a relation to a target entity, or to any entity with Wildcard.
+   * @example world.all(Position, Velocity, Not(Frozen)), world.all(Turret, Pair('Targets', Wildcard))
+   */
+  all(...types) {
+    const terms = this.#parseTerms(types);
+    if (types.length === 0) return [];
 
     // fetch requested pool types
-    const pools = typeNames.map(type => this.#pools.get(type));
+    const pools = [...new Set(terms.all)].map(type => this.#pools.get(type));
+    const removedPools = terms.removed.map(type => this.#pools.get(type));
 
     // return empty array if any are missing or empty.
-    if (this.#pools.size === 0 || pools.some(pool => !pool || pool.isEmpty())) return [];
+    if (pools.some(pool => !pool || pool.isEmpty()) || removedPools.some(pool => !pool)) return [];
+
+    // excluded types that were never registered exclude nothing
+    const excludedPools = terms.none.map(type => this.#pools.get(type)).filter(pool => pool && !pool.isEmpty());
+    const addedPools = terms.added.map(type => this.#pools.get(type));
+    const changedPools = terms.changed.map(type => this.#pools.get(type));
+
+    if (types.length === 1 && !(types[0] instanceof Filter)) {
+      return [...pools[0].keys()];
+    }
+
+    // filters that no Archetype can answer, tested per entity
+    const passes = entity => addedPools.every(pool => pool.wasAdded(entity))
+      && changedPools.every(pool => pool.wasChanged(entity))
+      && removedPools.every(pool => pool.wasRemoved(entity))
+      && terms.pairs.every(([typeName, target]) => this.hasRelation(entity, typeName, target))
+      && !terms.notPairs.some(([typeName, target]) => this.hasRelation(entity, typeName, target));
+
+    // matching Archetypes hold exactly the entities with every required type and no excluded one.
+    // Removed components are no longer in any Archetype, so Removed() is left to the pools.
+    if (this.#archetypes && terms.removed.length === 0) {
+      const filtered = addedPools.length + changedPools.length + terms.pairs.length + terms.notPairs.length > 0;
+      const entities = [];
+      for (const archetype of this.#archetypes.match(terms.all, terms.none)) {
+        for (const entity of archetype.entities) {
+          if (!filtered || passes(entity)) entities.push(entity);
+        }
+      }
+      return entities;
+    }
 
     // sort by smallest to largest
     pools.sort((a, b) => a.size - b.size);
+    excludedPools.sort((a, b) => a.size - b.size);
 
-    const [smallestPool, ...remainingPools] = pools;
+    // without required types, every removed (or else every living) entity is a candidate
+    let [smallestPool, ...remainingPools] = pools;
+    let candidates = smallestPool ? smallestPool.keys()
+      : removedPools.length > 0 ? removedPools[0].removed()
+        : this.#entities;
+    // the sources of a pair are usually far fewer than the relation's pool
+    for (const [typeName, target] of terms.pairs) {
+      const sources = this.#relations.sources(typeName, target);
+      if (sources.size < (candidates.size ?? smallestPool.size)) {
+        candidates = sources;
+        // the candidates no longer come from any pool, so every pool must be checked
+        remainingPools = pools;
+      }
+    }
     const entities = [];
 
-    for (const entity of smallestPool.keys()) {
-      if (remainingPools.every(pool => pool.has(entity))) {
+    for (const entity of candidates) {
+      if (remainingPools.every(pool => pool.has(entity))
+        && !excludedPools.some(pool => pool.has(entity))
+        && passes(entity)) {
         entities.push(entity);
       }
     }
@@ -264,11 +1107,371 @@ export default class World {
     return [...entities];
   }
 
-  // query() {
-  //   return new Query(this);
-  // }
+  /**
+   * Returns a persistent Query over the entities matching the given filters. Queries are cached,
+   * so asking for the same filters again (in any order) returns the same Query object.
+   * @param {{all?: Array, any?: Array, none?: Array}} filters Component types as Classes, objects, or strings.
+   * "all" also accepts the Not(), Added(), Changed() and Removed() filters, as World.all does.
+   * @returns {Query}
+   */
+  query({ all = [], any = [], none = [] } = {}) {
+    const terms = this.#parseTerms(all);
+    const typeNames = {
+      ...terms,
+      all: [...new Set(terms.all)],
+      any: any.map(type => this.#validateComponent(type)),
+      none: [...terms.none, ...none.map(type => this.#validateComponent(type))],
+    };
+    if (all.length + any.length + none.length === 0) {
+      throw new TypeError('A query needs at least one "all", "any", or "none" component type.');
+    }
+
+    const key = Query.key(typeNames);
+    let query = this.#queries.get(key);
+    if (query) return query;
+
+    query = new Query(this.#pools, typeNames, this.#createPool({ shared: false }));
+    this.#queries.set(key, query);
+
+    // populate from the narrowest candidate set available
+    let candidates;
+    if (this.#archetypes && typeNames.removed.length === 0) {
+      candidates = this.#archetypes.match(typeNames.all, typeNames.none).flatMap(archetype => archetype.entities);
+    }
+    else if (typeNames.all.length > 0) {
+      const pools = typeNames.all.map(type => this.#pools.get(type));
+      candidates = pools.some(pool => !pool) ? [] : pools.sort((a, b) => a.size - b.size)[0].keys();
+    }
+    else if (typeNames.removed.length > 0) {
+      candidates = this.#pools.get(typeNames.removed[0])?.removed() ?? [];
+    }
+    else if (typeNames.any.length > 0) {
+      candidates = this.any(...typeNames.any);
+    }
+    else {
+      candidates = this.#entities;
+    }
+    for (const entity of candidates) {
+      query.refresh(entity);
+    }
+    return query;
+  }
+
+  /**
+   * Returns an owning Group of the given component types, creating it the first time. The World then keeps the types' pools packed
+   * so that the entities with all of them occupy the same leading positions of every pool (see group.js), for iterating them
+   * with a plain index loop or over aligned columns. A pool can only be owned by one group.
+   * @param {...*} types Component types as Classes, objects, or strings.
+   * @returns {Group}
+   * @example const moving = world.group(Position, Velocity); moving.forEach((entity, position, velocity) => {...});
+   */
+  group(...types) {
+    const typeNames = [...new Set(types.map(type => this.#validateComponent(type)))];
+    if (typeNames.length === 0) {
+      throw new TypeError('A group needs at least one component type.');
+    }
+    const existing = this.#groups.get(typeNames[0]);
+    if (existing && existing.types.length === typeNames.length && typeNames.every(typeName => existing.types.includes(typeName))) {
+      return existing;
+    }
+    const owned = typeNames.find(typeName => this.#groups.has(typeName));
+    if (owned) {
+      throw new Error(`Component "${owned}" is already owned by another group.`);
+    }
 
+    const pools = typeNames.map(typeName => this.#poolFor(typeName));
+    if (pools.some(pool => pool.sorted)) {
+      throw new Error('Pools kept sorted by entity cannot be grouped.');
+    }
+    const group = new Group(typeNames, pools);
+    for (const typeName of typeNames) {
+      this.#groups.set(typeName, group);
+    }
+    const smallestPool = [...pools].sort((a, b) => a.size - b.size)[0];
+    for (const entity of [...smallestPool.keys()]) {
+      group.enter(entity);
+    }
+    return group;
+  }
 
+  /**
+   * Sorts a component type's pool, which sets the order of its iteration and of all() results that walk it.
+   * Entities added later go to the end; sort again when order matters, such as every frame before drawing.
+   * In a grouped pool the group's entities stay in front, sorted among themselves, and the group's other pools follow their order.
+   * @param {*} type Component type as a Class, object, or string.
+   * @param {function} compareFn Called as `compareFn(componentA, componentB, entityA, entityB)`.
+   * @returns true if sorted, or false if the type has no pool.
+   * @example world.sortComponents(Sprite, (a, b) => a.z - b.z)
+   */
+  sortComponents(type, compareFn) {
+    const typeName = this.#validateComponent(type);
+    const pool = this.#pools.get(typeName);
+    if (!pool) return false;
+    const group = this.#groups.get(typeName);
+    if (!group) {
+      pool.sort(compareFn);
+      return true;
+    }
+    group.sort(pool, compareFn);
+    return true;
+  }
+
+  /**
+   * Flags an entity's component as changed, for components mutated in place.
+   * @returns true if the entity has the component, otherwise false.
+   */
+  markChanged(entity, type) {
+    if (!this.#entities.has(entity)) return false;
+    const typeName = this.#validateComponent(type);
+    if (!this.#pools.get(typeName)?.markChanged(entity)) return false;
+    this.#refreshQueries(entity, typeName);
+    return true;
+  }
+
+  /**
+   * Makes one entity the child of another, stored as a component of type PARENT (see hierarchy.js) on the child.
+   * @param {number} child
+   * @param {number|null} parent The new parent, or null to detach the child.
+   * @returns true if linked or detached, or false if either entity is not alive.
+   */
+  setParent(child, parent) {
+    if (!this.#entities.has(child)) return false;
+    if (parent === null || parent === undefined) {
+      this.removeComponent(child, PARENT);
+      return true;
+    }
+    if (!this.#entities.has(parent)) return false;
+    return this.addComponent(child, { type: PARENT, entity: parent });
+  }
+
+  // Parent components are checked however they are set, as a cycle would make destroy() recurse forever
+  // checks that built-in component types need beyond their schema; entity is null for entities not spawned yet
+  #assertComponent(entity, typeName, data) {
+    if (typeName === PARENT) this.#assertParent(entity, data);
+  }
+
+  #assertParent(child, { entity: parent } = {}) {
+    if (!this.#entities.has(parent)) {
+      throw new TypeError('A Parent component needs the "entity" of a living parent.');
+    }
+    if (parent === child || [...this.#hierarchy.ancestors(parent)].includes(child)) {
+      throw new Error('An entity cannot be the parent of itself or of its ancestors.');
+    }
+  }
+
+  /**
+   * @returns the entity's parent, or undefined if it has none.
+   */
+  getParent(entity) {
+    return this.#hierarchy.parentOf(entity);
+  }
+
+  /**
+   * Iterates the entity's direct children.
+   */
+  children(entity) {
+    return this.#hierarchy.children(entity);
+  }
+
+  /**
+   * Iterates the entity's parent, grandparent, and so on up to the root.
+   */
+  ancestors(entity) {
+    return this.#hierarchy.ancestors(entity);
+  }
+
+  /**
+   * Iterates the entity's descendants depth-first, each parent before its children.
+   */
+  descendants(entity) {
+    return this.#hierarchy.descendants(entity);
+  }
+
+  /**
+   * Relates a source entity to a target entity, such as `addRelation(turret, 'Targets', enemy)`. Each relation type is a component
+   * of the source holding a Map of its targets to the data of each pair, so Targets is a component of every entity targeting anything.
+   * Relations to an entity are removed when it is destroyed.
+   * @param {number} source
+   * @param {*} relation Relation type as a Class, object, or string.
+   * @param {number} target
+   * @param {*} data Data of the pair, such as a priority or a weight.
+   * @returns true if related, or false if either entity is not alive.
+   */
+  addRelation(source, relation, target, data = null) {
+    if (!this.#entities.has(source) || !this.#entities.has(target)) return false;
+    const typeName = this.#validateComponent(relation);
+    this.#registerRelation(typeName);
+    // replaced rather than mutated, so that hooks, queries and change detection see the pair
+    const targets = new Map(this.#pools.get(typeName).get(source)?.targets);
+    targets.set(target, data);
+    return this.addComponent(source, { type: typeName, targets });
+  }
+
+  /**
+   * Removes one pair, and the relation's component with the source's last target.
+   * @returns true if removed, or false if the source had no such relation.
+   */
+  removeRelation(source, relation, target) {
+    const typeName = this.#validateComponent(relation);
+    const record = this.#pools.get(typeName)?.get(source);
+    if (!record?.targets?.has(target)) return false;
+    if (record.targets.size === 1) return this.removeComponent(source, typeName);
+    const targets = new Map(record.targets);
+    targets.delete(target);
+    return this.addComponent(source, { type: typeName, targets });
+  }
+
+  /**
+   * @returns a boolean indicating whether the source has the relation to the target, or to any entity when the target is Wildcard.
+   */
+  hasRelation(source, relation, target = Wildcard) {
+    const typeName = this.#validateComponent(relation);
+    if (target === Wildcard) return this.hasComponent(source, typeName);
+    return this.#pools.get(typeName)?.get(source)?.targets?.has(target) ?? false;
+  }
+
+  /**
+   * @returns the data of a pair, or undefined if the source does not have the relation to the target.
+   */
+  getRelation(source, relation, target) {
+    return this.#pools.get(this.#validateComponent(relation))?.get(source)?.targets?.get(target);
+  }
+
+  /**
+   * @returns the entities the source has the relation to.
+   */
+  targets(source, relation) {
+    return [...this.#pools.get(this.#validateComponent(relation))?.get(source)?.targets?.keys() ?? []];
+  }
+
+  /**
+   * @returns the entities that have the relation to the target ("who targets X"), or to any entity when the target is Wildcard.
+   */
+  sources(relation, target) {
+    const typeName = this.#validateComponent(relation);
+    if (target === Wildcard) return this.all(typeName);
+    return [...this.#relations.sources(typeName, target)];
+  }
+
+  /**
+   * Registers a relation type's component, kept as `{ type, targets: Map }` and serialized with its targets as entries,
+   * and indexes its targets however its components are set.
+   */
+  #registerRelation(typeName) {
+    if (!this.#relationTypes.has(typeName)) {
+      this.#relationTypes.add(typeName);
+      this.onSet(typeName, (source, { targets }) => this.#relations.set(typeName, source, targets.keys()));
+      this.onRemove(typeName, source => this.#relations.delete(typeName, source));
+    }
+    if (!this.#pools.has(typeName)) {
+      this.registerComponent(typeName, {
+        fromJSON: ({ targets }) => ({ type: typeName, targets: new Map(targets) }),
+        toJSON: ({ targets }) => ({ type: typeName, targets: [...targets] }),
+      });
+    }
+  }
+
+  #channel(type) {
+    const typeName = this.#validateComponent(type);
+    if (!this.#events.has(typeName)) this.#events.set(typeName, new Events());
+    return this.#events.get(typeName);
+  }
+
+  /**
+   * Sends an event to every reader of its type. Events last until the end of the update after the one they were sent in,
+   * so systems running before the sender still see them in the next update (see events.js). Under a Loop, they last
+   * until the end of the next frame, so render systems see the events of every fixed step of the frame.
+   * @param {*} type Event type as a Class, object, or string.
+   * @param {*} payload
+   * @returns this
+   * @example world.emit('Damage', { target, amount: 5 })
+   */
+  emit(type, payload) {
+    this.#channel(type).send(payload);
+    return this;
+  }
+
+  /**
+   * Creates a reader of an event type with its own cursor, starting at the oldest event still kept.
+   * Keep the reader and read it every update; systems get one per type from ctx.events(type).
+   * @param {*} type Event type as a Class, object, or string.
+   * @returns {EventReader}
+   */
+  events(type) {
+    return new EventReader(this.#channel(type));
+  }
+
+  /**
+   * Stores a resource: global data such as input state or the camera, keyed by type like components but owned by no entity.
+   * Values of a type registered with registerComponent() are validated and rebuilt as for addComponent; others are stored as they are.
+   * @param {*} type Resource type as a Class, object, or string.
+   * @param {*} value
+   */
+  setResource(type, value) {
+    const typeName = this.#validateComponent(type);
+    // unlike components, resources of unregistered classes are kept as they are
+    this.#resources.set(typeName, this.#definitions.has(typeName) ? this.#prepareComponent(typeName, value) : value);
+    this.#changedResources.add(typeName);
+    return this;
+  }
+
+  getResource(type) {
+    return this.#resources.get(this.#validateComponent(type));
+  }
+
+  hasResource(type) {
+    return this.#resources.has(this.#validateComponent(type));
+  }
+
+  removeResource(type) {
+    const typeName = this.#validateComponent(type);
+    if (!this.#resources.delete(typeName)) return false;
+    this.#changedResources.add(typeName);
+    return true;
+  }
+
+  /**
+   * Flags a resource as changed, for resources mutated in place.
+   * @returns true if the resource exists, otherwise false.
+   */
+  markResourceChanged(type) {
+    const typeName = this.#validateComponent(type);
+    if (!this.#resources.has(typeName)) return false;
+    this.#changedResources.add(typeName);
+    return true;
+  }
+
+  /**
+   * @returns a boolean indicating whether the resource was set, removed, or marked changed since changes were last cleared.
+   */
+  wasResourceChanged(type) {
+    return this.#changedResources.has(this.#validateComponent(type));
+  }
+
+  /**
+   * Forgets which components were added, changed, or removed, and which resources changed. Called at the end of every update(),
+   * so Added(), Changed() and Removed() see what happened since the previous update finished.
+   * Also drops the events sent before the previous call, as each event lasts through one more update (or Loop frame).
+   * A Loop clears the two separately: change tracking after every fixed step, events once per frame.
+   * @param {object} options
+   * @param {boolean} options.tracking Forget component and resource changes.
+   * @param {boolean} options.events Drop old events.
+   */
+  clearChanges({ tracking = true, events = true } = {}) {
+    if (events) {
+      for (const channel of this.#events.values()) {
+        channel.update();
+      }
+    }
+    if (!tracking) return;
+    this.#changedResources.clear();
+    for (const pool of this.#pools.values()) {
+      pool.clearChanges();
+    }
+    for (const query of this.#queries.values()) {
+      if (query.tracksChanges) query.clear();
+    }
+  }
 }
 
 /**
@@ -305,9 +1508,69 @@ class Entity {
     return this.#world.removeComponent(this.#id, type);
   }
 
+  markChanged(type) {
+    return this.#world.markChanged(this.#id, type);
+  }
+
+  /**
+   * @param {Entity|number|null} parent
+   */
+  setParent(parent) {
+    return this.#world.setParent(this.#id, parent instanceof Entity ? parent.id : parent);
+  }
+
+  get parent() {
+    return this.#world.getParent(this.#id);
+  }
+
+  tag(type) {
+    return this.#world.tag(this.#id, type);
+  }
+
+  untag(type) {
+    return this.#world.untag(this.#id, type);
+  }
+
+  children() {
+    return this.#world.children(this.#id);
+  }
+
+  /**
+   * @param {*} relation
+   * @param {Entity|number} target
+   * @param {*} data
+   */
+  relate(relation, target, data) {
+    this.#world.addRelation(this.#id, relation, target instanceof Entity ? target.id : target, data);
+    return this;
+  }
+
+  unrelate(relation, target) {
+    return this.#world.removeRelation(this.#id, relation, target instanceof Entity ? target.id : target);
+  }
+
+  targets(relation) {
+    return this.#world.targets(this.#id, relation);
+  }
+
   get id() {
     return this.#id;
   }
+
+  get index() {
+    return indexOf(this.#id);
+  }
+
+  get generation() {
+    return generationOf(this.#id);
+  }
+
+  /**
+   * False once the entity has been destroyed, even if its index has been reused by a newer entity.
+   */
+  get alive() {
+    return this.#world.isAlive(this.#id);
+  }
 }
 
 // /**
@@ -324,17 +1587,6 @@ class Entity {
 //   }
 // }
 
-// class Query {
-//   #world
-//   #all
-//   constructor(world) {
-//     this.#world = world;
-//   }
-//   *[Symbol.iterator]() {
-
-//   }
-// }
-
 // query implementation
 
 // iterate all entities in one of the queried for components (usually the one with the least entities) and test for each subsequent component.
@@ -0,0 +1,105 @@
+/**
+ * Events is the double-buffered channel of one event type. Events sent during an update are kept through the next one,
+ * so every system sees them once whether it runs before or after the sender, and are dropped after that.
+ * Each event is numbered in sending order; readers keep the number of the next event they have not read.
+ */
+export default class Events {
+  #previous;
+  #current;
+  #start;
+  #next;
+
+  constructor() {
+    this.#previous = [];
+    this.#current = [];
+    this.#start = 0; // number of the first event in #previous
+    this.#next = 0; // number of the next event to be sent
+  }
+
+  /**
+   * Number of the oldest event still kept.
+   */
+  get oldest() {
+    return this.#start;
+  }
+
+  /**
+   * Number the next event sent will get.
+   */
+  get next() {
+    return this.#next;
+  }
+
+  send(payload) {
+    this.#current.push(payload);
+    return this.#next++;
+  }
+
+  /**
+   * @returns the payloads of the kept events numbered from the cursor on, oldest first.
+   * @param {number} cursor
+   */
+  since(cursor) {
+    const skip = Math.max(0, cursor - this.#start);
+    return skip < this.#previous.length
+      ? [...this.#previous.slice(skip), ...this.#current]
+      : this.#current.slice(skip - this.#previous.length);
+  }
+
+  /**
+   * Drops the events of the update before last. Called by the World whenever it clears changes: at the end of every update,
+   * or of every Loop frame.
+   */
+  update() {
+    this.#start += this.#previous.length;
+    this.#previous = this.#current;
+    this.#current = [];
+  }
+}
+
+/**
+ * An EventReader reads the events of one type with its own cursor, so any number of readers see every event once.
+ * A new reader starts at the oldest event still kept. Readers that go a whole update without reading miss the dropped events.
+ */
+export class EventReader {
+  #events;
+  #cursor;
+
+  /**
+   * @param {Events} events
+   */
+  constructor(events) {
+    this.#events = events;
+    this.#cursor = events.oldest;
+  }
+
+  /**
+   * @returns the number of unread events.
+   */
+  get size() {
+    return this.#events.next - Math.max(this.#cursor, this.#events.oldest);
+  }
+
+  /**
+   * @returns the payloads of the unread events, oldest first, and marks them read.
+   */
+  read() {
+    const payloads = this.#events.since(this.#cursor);
+    this.#cursor = this.#events.next;
+    return payloads;
+  }
+
+  /**
+   * Marks every event read without returning them.
+   */
+  clear() {
+    this.#cursor = this.#events.next;
+  }
+
+  /**
+   * Iterates the unread events, marking them read.
+   */
+  [Symbol.iterator]() {
+    return this.read()[Symbol.iterator]();
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Query filters wrap a component type (Class, object, or string) to change how World.all and World.query treat it.
+ */
+export class Filter {
+  /**
+   * @param {string} kind Name of the filter, e.g. 'not'.
+   * @param {*} component Component type as a Class, object, or string.
+   * @param {*} target Target entity of a relation pair, or Wildcard.
+   */
+  constructor(kind, component, target) {
+    this.kind = kind;
+    this.component = component;
+    this.target = target;
+    Object.freeze(this);
+  }
+}
+
+/**
+ * Pair target matching any entity.
+ */
+export const Wildcard = '*';
+
+/**
+ * Matches entities that have the given relation to the target entity, or to any entity when the target is Wildcard.
+ * @example world.all(Pair('Targets', enemy)), world.all(Pair(Likes, Wildcard))
+ */
+export function Pair(relation, target) {
+  return new Filter('pair', relation, target);
+}
+
+/**
+ * Excludes entities that have the given component type, or the given relation Pair.
+ * @example world.all(Position, Velocity, Not(Frozen))
+ */
+export function Not(component) {
+  return new Filter('not', component);
+}
+
+/**
+ * Matches entities whose component of the given type was added since the last World.clearChanges().
+ * @example world.all(Added(Sprite))
+ */
+export function Added(component) {
+  return new Filter('added', component);
+}
+
+/**
+ * Matches entities whose component of the given type was set or marked changed since the last World.clearChanges().
+ * @example world.all(Changed(Position))
+ */
+export function Changed(component) {
+  return new Filter('changed', component);
+}
+
+/**
+ * Matches entities whose component of the given type was removed since the last World.clearChanges(), including destroyed entities.
+ * @example world.all(Removed(Sprite))
+ */
+export function Removed(component) {
+  return new Filter('removed', component);
+}
@@ -0,0 +1,120 @@
+/**
+ * A Group owns the pools of a set of component types and keeps them packed together: the entities that have every owned type
+ * sit at positions [0, size) of each pool's dense arrays, in the same order. Iterating the group is then a plain index loop,
+ * with no lookups in other pools, and the pools' columns line up index for index.
+ *
+ * The World moves entities into the group after they gain an owned component, and out of it before they lose one,
+ * so Pool's swap-with-last removal only ever touches positions past the group. The group owns the order of its pools
+ * (see Pool.own), so Pool.swap() and Pool.sort() cannot break it; sort them with sort() instead.
+ */
+export default class Group {
+  #types;
+  #pools;
+  #orders;
+  #size;
+  #args;
+
+  /**
+   * @param {string[]} types Owned component type names.
+   * @param {Pool[]} pools Their pools, in the same order.
+   */
+  constructor(types, pools) {
+    this.#types = types;
+    this.#pools = pools;
+    this.#orders = pools.map(pool => pool.own());
+    this.#size = 0;
+    this.#args = new Array(1 + pools.length);
+  }
+
+  /**
+   * @returns the number of entities with every owned component.
+   */
+  get size() {
+    return this.#size;
+  }
+
+  get types() {
+    return this.#types;
+  }
+
+  /**
+   * @returns a boolean indicating whether the entity has every owned component.
+   */
+  has(entity) {
+    const i = this.#pools[0].denseIndex(entity);
+    return i !== -1 && i < this.#size;
+  }
+
+  /**
+   * Moves an entity into the group if it now has every owned component.
+   */
+  enter(entity) {
+    if (this.has(entity) || !this.#pools.every(pool => pool.has(entity))) return false;
+    this.#pools.forEach((pool, k) => this.#orders[k].swap(pool.denseIndex(entity), this.#size));
+    this.#size++;
+    return true;
+  }
+
+  /**
+   * Moves an entity out of the group, before one of its owned components is removed.
+   */
+  leave(entity) {
+    if (!this.has(entity)) return false;
+    this.#size--;
+    this.#pools.forEach((pool, k) => this.#orders[k].swap(pool.denseIndex(entity), this.#size));
+    return true;
+  }
+
+  /**
+   * Sorts one of the owned pools in two parts, the group's entities and the rest, and reorders the other pools to follow.
+   * @param {Pool} sortedPool
+   * @param {function} compareFn As for Pool.sort().
+   */
+  sort(sortedPool, compareFn) {
+    const order = this.#orders[this.#pools.indexOf(sortedPool)];
+    order.sort(compareFn, 0, this.#size);
+    order.sort(compareFn, this.#size);
+    this.#pools.forEach((pool, k) => {
+      if (pool === sortedPool) return;
+      // positions before i already hold their entities, so the one for i is at i or later
+      for (let i = 0; i < this.#size; i++) {
+        this.#orders[k].swap(i, pool.denseIndex(sortedPool.entityAt(i)));
+      }
+    });
+  }
+
+  /**
+   * Gives the order of the pools back, when the group is dropped.
+   */
+  release() {
+    for (const order of this.#orders) order.release();
+  }
+
+  /**
+   * Executes a provided function once per entity in the group with the entity followed by its owned components, in type order.
+   * Adding or removing owned components reorders the group, so defer those with the World's command buffer while iterating.
+   * @param {function} callbackfn
+   * @param {*} thisArg
+   */
+  forEach(callbackfn, thisArg) {
+    const args = this.#args;
+    const pools = this.#pools;
+    for (let i = 0; i < this.#size; i++) {
+      args[0] = pools[0].entityAt(i);
+      for (let k = 0; k < pools.length; k++) {
+        args[k + 1] = pools[k].componentAt(i);
+      }
+      callbackfn.apply(thisArg, args);
+    }
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.#size; i++) {
+      yield this.#pools[0].entityAt(i);
+    }
+  }
+
+  toArray() {
+    return [...this];
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Entity handles pack a generation alongside the entity index so that a handle kept after
+ * `World.destroy()` can be told apart from whatever entity later reuses the same index.
+ *
+ * Layout (unsigned 32-bit): [ generation: 12 bits | index: 20 bits ]
+ *
+ * A generation 0 handle is numerically equal to its index, so freshly spawned entities are
+ * still 0, 1, 2, ... and a Pool used on its own can keep taking plain integers, up to INDEX_MASK.
+ */
+
+/**Number of low bits holding the entity index */
+export const INDEX_BITS = 20;
+
+/**Number of high bits holding the generation */
+export const GENERATION_BITS = 12;
+
+/**Highest entity index a handle can address */
+export const INDEX_MASK = 2 ** INDEX_BITS - 1;
+
+/**Highest generation before it wraps back to 0 */
+export const GENERATION_MASK = 2 ** GENERATION_BITS - 1;
+
+/**Highest value a handle can take */
+export const MAX_HANDLE = 2 ** (INDEX_BITS + GENERATION_BITS) - 1;
+
+/**
+ * @param {number} index
+ * @param {number} generation
+ * @returns the packed handle for the given index and generation.
+ */
+export function makeHandle(index, generation = 0) {
+  return ((generation & GENERATION_MASK) * (INDEX_MASK + 1)) + (index & INDEX_MASK);
+}
+
+/**
+ * @param {number} handle
+ * @returns the entity index stored in the handle.
+ */
+export function indexOf(handle) {
+  return handle & INDEX_MASK;
+}
+
+/**
+ * @param {number} handle
+ * @returns the generation stored in the handle.
+ */
+export function generationOf(handle) {
+  return Math.floor(handle / (INDEX_MASK + 1)) & GENERATION_MASK;
+}
+
+/**
+ * @param {number} handle
+ * @returns the handle for the next entity to reuse this handle's index. Generations wrap after GENERATION_MASK.
+ */
+export function nextGeneration(handle) {
+  return makeHandle(indexOf(handle), generationOf(handle) + 1);
+}
+
+/**
+ * @returns a boolean indicating whether the value is a well-formed handle.
+ */
+export function isHandle(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_HANDLE;
+}
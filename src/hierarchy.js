@@ -0,0 +1,75 @@
+/**
+ * Component type holding an entity's parent, as `{ type: PARENT, entity }`.
+ * Not a valid identifier, so no component class can share the name.
+ */
+export const PARENT = '@Parent';
+
+/**
+ * Hierarchy indexes the parent/child links stored in a World's Parent components, for walking them in both directions.
+ * The World keeps it in sync as Parent components are set and removed.
+ */
+export default class Hierarchy {
+  #parentOf;
+  #children;
+
+  constructor() {
+    this.#parentOf = new Map(); // child => parent
+    this.#children = new Map(); // parent => Set of children, in the order they were linked
+  }
+
+  link(child, parent) {
+    this.unlink(child);
+    this.#parentOf.set(child, parent);
+    if (!this.#children.has(parent)) this.#children.set(parent, new Set());
+    this.#children.get(parent).add(child);
+  }
+
+  unlink(child) {
+    const parent = this.#parentOf.get(child);
+    if (parent === undefined) return false;
+    this.#parentOf.delete(child);
+    const siblings = this.#children.get(parent);
+    siblings.delete(child);
+    if (siblings.size === 0) this.#children.delete(parent);
+    return true;
+  }
+
+  clear() {
+    this.#parentOf.clear();
+    this.#children.clear();
+  }
+
+  parentOf(entity) {
+    return this.#parentOf.get(entity);
+  }
+
+  /**
+   * Iterates the entity's direct children.
+   */
+  *children(entity) {
+    const children = this.#children.get(entity);
+    if (!children) return;
+    yield* [...children];
+  }
+
+  /**
+   * Iterates the entity's parent, grandparent, and so on up to the root.
+   */
+  *ancestors(entity) {
+    let parent = this.#parentOf.get(entity);
+    while (parent !== undefined) {
+      yield parent;
+      parent = this.#parentOf.get(parent);
+    }
+  }
+
+  /**
+   * Iterates the entity's descendants depth-first, each parent before its children.
+   */
+  *descendants(entity) {
+    for (const child of this.children(entity)) {
+      yield child;
+      yield* this.descendants(child);
+    }
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Loop drives a World with a fixed timestep: the simulation stages run in steps of exactly `step` seconds,
+ * as many as the elapsed time calls for, and the render stages run once per frame with the leftover fraction of a step
+ * as an interpolation alpha.
+ *
+ * Each fixed step is one World tick (see World.tickStages) and its systems get `(step)` as arguments.
+ * Render systems get `(elapsed, alpha)`. Change tracking is cleared after every step, as by World.update(), so fixed-step
+ * systems see each change once; render systems only see the changes made since the frame's last step. Events last through
+ * the whole frame, so render systems read what every step did through events, or through hooks such as World.onAdd().
+ */
+export default class Loop {
+  #world;
+  #step;
+  #maxSteps;
+  #clock;
+  #renderStages;
+  #schedule;
+  #accumulator;
+  #alpha;
+  #last;
+  #paused;
+  #running;
+  #dropped;
+
+  /**
+   * @param {World} world
+   * @param {object} options
+   * @param {number} options.step Fixed timestep in seconds.
+   * @param {number} options.maxSteps Most fixed steps to run in one frame. Time beyond them is dropped rather than
+   * carried over, so a slow frame cannot snowball into ever longer ones.
+   * @param {function} options.clock Returns the current time in milliseconds. Defaults to performance.now().
+   * @param {string[]} options.renderStages Stages run once per frame. Every other stage runs on each fixed step.
+   * @param {function} options.schedule Schedules the next frame for start(). Defaults to requestAnimationFrame, or a timeout of one step.
+   */
+  constructor(world, {
+    step = 1 / 60,
+    maxSteps = 5,
+    clock = () => performance.now(),
+    renderStages = ['render'],
+    schedule = globalThis.requestAnimationFrame?.bind(globalThis) ?? (callback => setTimeout(callback, step * 1000)),
+  } = {}) {
+    if (!(step > 0)) {
+      throw new RangeError('step must be a positive number of seconds.');
+    }
+    if (!Number.isInteger(maxSteps) || maxSteps < 1) {
+      throw new RangeError('maxSteps must be a positive integer.');
+    }
+    this.#world = world;
+    this.#step = step;
+    this.#maxSteps = maxSteps;
+    this.#clock = clock;
+    this.#renderStages = renderStages;
+    this.#schedule = schedule;
+    this.#accumulator = 0;
+    this.#alpha = 0;
+    this.#last = null;
+    this.#paused = false;
+    this.#running = false;
+    this.#dropped = 0;
+  }
+
+  get step() {
+    return this.#step;
+  }
+
+  /**
+   * Fraction of a step left over after the last frame's fixed steps, for interpolating between the last two states.
+   */
+  get alpha() {
+    return this.#alpha;
+  }
+
+  get paused() {
+    return this.#paused;
+  }
+
+  get running() {
+    return this.#running;
+  }
+
+  /**
+   * Seconds of simulation dropped by the maxSteps guard so far.
+   */
+  get dropped() {
+    return this.#dropped;
+  }
+
+  /**
+   * Runs one frame for the time elapsed on the clock since the previous frame. The first frame only renders.
+   * @returns the number of fixed steps run.
+   */
+  frame() {
+    const now = this.#clock();
+    const elapsed = this.#last === null ? 0 : (now - this.#last) / 1000;
+    this.#last = now;
+    return this.advance(elapsed);
+  }
+
+  /**
+   * Runs one frame for the given elapsed seconds, without reading the clock. Paused loops only render.
+   * @param {number} elapsed
+   * @returns the number of fixed steps run.
+   */
+  advance(elapsed) {
+    let steps = 0;
+    if (!this.#paused) {
+      this.#accumulator += Math.max(0, elapsed);
+      while (this.#accumulator >= this.#step && steps < this.#maxSteps) {
+        this.#tick();
+        this.#accumulator -= this.#step;
+        steps++;
+      }
+      // spiral-of-death guard: drop whole steps that did not fit in this frame
+      if (this.#accumulator >= this.#step) {
+        const excess = this.#accumulator - (this.#accumulator % this.#step);
+        this.#dropped += excess;
+        this.#accumulator -= excess;
+      }
+      this.#alpha = this.#accumulator / this.#step;
+    }
+    this.#render(elapsed);
+    return steps;
+  }
+
+  /**
+   * Runs exactly one fixed step and renders, whether or not the loop is paused. Useful for stepping through a paused game.
+   */
+  stepOnce() {
+    this.#tick();
+    this.#render(this.#step);
+  }
+
+  pause() {
+    this.#paused = true;
+  }
+
+  /**
+   * Resumes a paused loop. Time that passed while paused is not simulated.
+   */
+  resume() {
+    this.#paused = false;
+    this.#last = null;
+  }
+
+  /**
+   * Runs frames continuously with the schedule function until stop().
+   */
+  start() {
+    if (this.#running) return;
+    this.#running = true;
+    this.#last = null;
+    const run = () => {
+      if (!this.#running) return;
+      this.frame();
+      this.#schedule(run);
+    };
+    this.#schedule(run);
+  }
+
+  stop() {
+    this.#running = false;
+  }
+
+  #tick() {
+    const stages = this.#world.stages.filter(stage => !this.#renderStages.includes(stage));
+    this.#world.tickStages(stages, this.#step);
+  }
+
+  #render(elapsed) {
+    for (const stage of this.#renderStages) {
+      this.#world.runStage(stage, elapsed, this.#alpha);
+    }
+    // change tracking is left to the next step, which sees changes made since the last one, rendering included
+    this.#world.clearChanges({ tracking: false });
+    // commands issued while rendering
+    if (this.#world.flushMode !== 'manual') this.#world.flush();
+  }
+}
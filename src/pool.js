@@ -1,5 +1,44 @@
+import { INDEX_MASK, indexOf, isHandle } from './handle.js';
+
+/**
+ * @returns the smallest unsigned integer TypedArray constructor that can store maxValue.
+ * @param {number} maxValue
+ */
+export function uintArrayFor(maxValue) {
+  if (maxValue <= 0xFF) return Uint8Array;
+  if (maxValue <= 0xFFFF) return Uint16Array;
+  return Uint32Array;
+}
+
+/**
+ * Growth strategy that doubles the current size, or jumps straight to the required size if doubling is not enough.
+ * @param {number} current
+ * @param {number} required
+ */
+export function double(current, required) {
+  return Math.max(required, current * 2);
+}
+
+// key holding the entity of a column view
+const ENTITY = Symbol('entity');
+
+// TypedArray constructors by name, for attaching to shared buffers
+const typedArrays = {
+  Uint8Array, Uint16Array, Uint32Array, Int8Array, Int16Array, Int32Array, Float32Array, Float64Array,
+};
+
 /**
  * Pool is a map-like collection, providing O(1) time complexity for addition, deletion, and lookup. Iteration is O(n). Clearing is O(n) rather than O(1).
+ * Entities are generational handles (see handle.js): the sparse array is keyed by the handle's index and the dense array keeps the full handle,
+ * so a stale handle whose index has since been reused is not found in the Pool.
+ *
+ * A Pool created with columns stores numeric component fields struct-of-arrays style, one TypedArray per field, in dense order.
+ * Its components are then views: objects whose field properties read and write the columns.
+ * With no columns at all, a Pool is a plain sparse set storing no component data, as for tags.
+ *
+ * A shared Pool keeps its sparse and dense arrays and its columns in SharedArrayBuffers, so other threads can attach to it
+ * with Pool.attach(). Only the thread that created the Pool may add or delete entities; attached Pools only read them,
+ * and may write column values in place unless attached read-only. Component objects (of Pools without columns) are not shared.
  */
 export default class Pool {
   #sparse;
@@ -8,16 +47,39 @@ export default class Pool {
   #size;
   #capacity;
   #maxEntity;
+  #added;
+  #changed;
+  #removed;
+  #growth;
+  #columns;
+  #viewPrototype;
+  #meta;
+  #attached;
+  #readOnly;
+  #sorted;
+  #owned;
 
   /**
    * @param {number} capacity Maximum quantity of entities that the Pool can contain.
-   * @param {number} maximumEntity Highest possible unsigned integer ID (Entity) that the Pool can contain.
-   * @param {TypedArrayConstructor} UintXXArray Unsigned integer TypedArray constructor for the sparse and dense arrays.
+   * @param {number} maximumEntity Highest possible entity index that the Pool can contain, at most INDEX_MASK (see handle.js).
+   * @param {TypedArrayConstructor} UintXXArray Unsigned integer TypedArray constructor for the sparse array.
+   * @param {function} growth Optional strategy `(current, required) => newSize` for growing the Pool instead of rejecting entities when it is full
+   * or an entity index exceeds maximumEntity (e.g. `double`). Growing widens UintXXArray as needed. Fixed size when null.
+   * @param {object} columns Optional map of field names to TypedArray constructors, e.g. `{ x: Float32Array, y: Float32Array }`, to store components as columns.
+   * @param {object} prototype Prototype of column views, e.g. a component Class's prototype.
+   * @param {boolean} shared Allocate the typed arrays in SharedArrayBuffers (see share()). Shared Pools cannot grow.
+   * @param {boolean} sorted Keep entries in entity index order: adding and deleting shift the entries after them instead of swapping with the last,
+   * so iteration order is stable at O(n) cost per addition and deletion.
    */
   constructor(
     capacity = 1000,
     maximumEntity = 65535,
-    UintXXArray = Uint16Array
+    UintXXArray = Uint16Array,
+    growth = null,
+    columns = null,
+    prototype = Object.prototype,
+    shared = false,
+    sorted = false
   ) {
     // Initial validation
     if (!Number.isInteger(capacity) || capacity < 0) {
@@ -27,6 +89,19 @@ export default class Pool {
     if (!Number.isInteger(maximumEntity) || maximumEntity < 0) {
       throw new TypeError('maximumEntity must be an unsigned integer.')
     }
+
+    // higher entities are generational handles whose index bits alias lower ones
+    if (maximumEntity > INDEX_MASK) {
+      throw new RangeError(`maximumEntity exceeds the highest entity index: ${INDEX_MASK}.`);
+    }
+
+    if (growth !== null && typeof growth !== 'function') {
+      throw new TypeError('growth must be a function or null.')
+    }
+
+    if (shared && growth !== null) {
+      throw new TypeError('Shared pools cannot grow, as threads attached to them would keep the old buffers.')
+    }
     
     const maxTypedValue = 2 ** (UintXXArray.BYTES_PER_ELEMENT * 8) - 1;
     if (maximumEntity > maxTypedValue) {
@@ -42,17 +117,176 @@ export default class Pool {
     /**Cardinality - number of elements in the set */
     this.#size = 0;
 
-    this.#sparse = new UintXXArray(maximumEntity + 1);
+    const allocate = (TypedArray, length) => shared
+      ? new TypedArray(new SharedArrayBuffer(length * TypedArray.BYTES_PER_ELEMENT))
+      : new TypedArray(length);
+
+    this.#sparse = allocate(UintXXArray, maximumEntity + 1);
+
+    // dense arrays (entities hold full 32-bit handles)
+    this.#entities = allocate(Uint32Array, capacity);
+    // column pools keep their data in the columns instead
+    this.#components = columns ? null : new Array(capacity).fill(null);
+
+    // change tracking since the last clearChanges()
+    this.#added = new Set();
+    this.#changed = new Set();
+    this.#removed = new Set();
+
+    this.#growth = growth;
+    this.#sorted = sorted;
+    this.#owned = false;
+
+    this.#columns = null;
+    if (columns) {
+      this.#columns = new Map(Object.entries(columns).map(([name, TypedArray]) => [name, allocate(TypedArray, capacity)]));
+      this.#viewPrototype = this.#createViewPrototype(prototype);
+    }
+
+    // shared pools publish their size here for attached threads
+    this.#meta = shared ? allocate(Int32Array, 1) : null;
+    this.#attached = false;
+    this.#readOnly = false;
+  }
+
+  #assertOwner() {
+    if (this.#attached) {
+      throw new Error('Structural changes to a shared Pool must be made by the thread that owns it.');
+    }
+  }
+
+  #assertUnsorted() {
+    if (this.#sorted) {
+      throw new Error('Pool is kept sorted by entity, so its entries cannot be reordered.');
+    }
+  }
+
+  #assertUnowned() {
+    if (this.#owned) {
+      throw new Error('Pool is owned by a group, so only the group can reorder its entries.');
+    }
+  }
+
+  #setSize(size) {
+    this.#size = size;
+    if (this.#meta) Atomics.store(this.#meta, 0, size);
+  }
+
+  #createViewPrototype(prototype) {
+    const pool = this;
+    const viewPrototype = Object.create(prototype);
+    for (const name of this.#columns.keys()) {
+      Object.defineProperty(viewPrototype, name, {
+        get() {
+          const i = pool.denseIndex(this[ENTITY]);
+          return i === -1 ? undefined : pool.#columns.get(name)[i];
+        },
+        set(value) {
+          if (pool.#readOnly) throw new TypeError('Pool is attached read-only.');
+          const i = pool.denseIndex(this[ENTITY]);
+          if (i !== -1) pool.#columns.get(name)[i] = value;
+        },
+        enumerable: true,
+      });
+    }
+    return viewPrototype;
+  }
+
+  // the component stored at a dense position, as a view for column pools
+  #componentAt(i) {
+    if (!this.#columns) return this.#components[i];
+    const view = Object.create(this.#viewPrototype);
+    view[ENTITY] = this.#entities[i];
+    return view;
+  }
+
+  #write(i, component) {
+    if (!this.#columns) {
+      this.#components[i] = component;
+      return;
+    }
+    for (const [name, column] of this.#columns) {
+      column[i] = component[name];
+    }
+  }
+
+  // moves the dense entry at position `from` to position `to`, overwriting it
+  #move(from, to) {
+    const entity = this.#entities[from];
+    this.#entities[to] = entity;
+    if (this.#columns) {
+      for (const column of this.#columns.values()) {
+        column[to] = column[from];
+      }
+    } else {
+      this.#components[to] = this.#components[from];
+    }
+    this.#sparse[indexOf(entity)] = to;
+  }
 
-    // dense arrays
-    this.#entities = new UintXXArray(capacity);
-    this.#components = new Array(capacity).fill(null);    
+  // the first dense position whose entity index is above the given one, by binary search
+  #insertionPoint(index) {
+    let low = 0;
+    let high = this.#size;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (indexOf(this.#entities[middle]) < index) low = middle + 1;
+      else high = middle;
+    }
+    return low;
   }
 
   #assert(value) {
-    if (!Number.isInteger(value) || value < 0 || value > this.#maxEntity) {
-      throw new TypeError('Pool only supports unsigned (non-negative) integers less than the Pool\'s maximumEntity.')
+    const maxEntity = this.#growth ? INDEX_MASK : this.#maxEntity;
+    if (!isHandle(value) || indexOf(value) > maxEntity) {
+      throw new TypeError('Pool only supports entity handles whose index is less than the Pool\'s maximumEntity.')
+    }
+  }
+
+  #nextSize(current, required, limit = Infinity) {
+    const size = Math.min(limit, Math.max(required, Math.floor(this.#growth(current, required))));
+    if (!(size >= required)) {
+      throw new RangeError(`Pool cannot grow past ${limit}.`);
+    }
+    return size;
+  }
+
+  // reallocates the sparse array in a wide enough type for both entity indices and dense positions
+  #resizeSparse(length) {
+    const maxValue = Math.max(length - 1, this.#capacity - 1);
+    const Current = this.#sparse.constructor;
+    const UintXXArray = maxValue > 2 ** (Current.BYTES_PER_ELEMENT * 8) - 1 ? uintArrayFor(maxValue) : Current;
+    const sparse = new UintXXArray(length);
+    sparse.set(this.#sparse.subarray(0, Math.min(length, this.#sparse.length)));
+    this.#sparse = sparse;
+  }
+
+  #growSparse(index) {
+    const length = this.#nextSize(this.#maxEntity + 1, index + 1, INDEX_MASK + 1);
+    this.#maxEntity = length - 1;
+    this.#resizeSparse(length);
+  }
+
+  #growDense(required = this.#capacity + 1) {
+    const oldCapacity = this.#capacity;
+    this.#capacity = this.#nextSize(oldCapacity, required, INDEX_MASK + 1);
+
+    const entities = new Uint32Array(this.#capacity);
+    entities.set(this.#entities);
+    this.#entities = entities;
+    if (this.#columns) {
+      for (const [name, column] of this.#columns) {
+        const grown = new column.constructor(this.#capacity);
+        grown.set(column);
+        this.#columns.set(name, grown);
+      }
+    } else {
+      this.#components.length = this.#capacity;
+      this.#components.fill(null, oldCapacity);
     }
+
+    // dense positions may no longer fit the sparse array's type
+    this.#resizeSparse(this.#sparse.length);
   }
 
   /**
@@ -64,55 +298,164 @@ export default class Pool {
   get capacity() {
     return this.#capacity;
   }
+  get maximumEntity() {
+    return this.#maxEntity;
+  }
+  /**
+   * @returns the unsigned integer TypedArray constructor currently used by the sparse array.
+   */
+  get indexType() {
+    return this.#sparse.constructor;
+  }
+  get growable() {
+    return this.#growth !== null;
+  }
+
+  /**
+   * True if the Pool keeps its entries in entity index order.
+   */
+  get sorted() {
+    return this.#sorted;
+  }
 
   /**
    * Appends an Entity-Component pair to the Pool, or sets it if it already exists.
    * @param {number} entity 
    * @param {*} component
-   * @returns Returns true if successfully added or set, or false if the Pool is full.
+   * @returns Returns true if successfully added or set, or false if the Pool is full (and cannot grow) or another generation of the Entity's index is already in the Pool.
    */
   add(entity, component) {
+    this.#assertOwner();
     this.#assert(entity);
 
-    if (this.#size >= this.#capacity) return false;
+    const index = indexOf(entity);
+    if (index > this.#maxEntity) this.#growSparse(index);
+    const i = this.#sparse[index];
 
-    const i = this.#sparse[entity];
+    if (i < this.#size && indexOf(this.#entities[i]) === index) {
+      // stale (or newer) handle for an index that is already in the Pool
+      if (this.#entities[i] !== entity) return false;
 
-    // setting the component the entity already has
-    if (i < this.#size && this.#entities[i] === entity) {
-      this.#components[i] = component;
+      // setting the component the entity already has
+      this.#write(i, component);
+      this.#changed.add(entity);
       return true;
     }
 
-    // adding the component for the first time
-    this.#entities[this.#size] = entity;
-    this.#components[this.#size] = component;
-    this.#sparse[entity] = this.#size;
-    this.#size++;
+    if (this.#size >= this.#capacity) {
+      if (!this.#growth) return false;
+      this.#growDense();
+    }
+
+    // adding the component for the first time, at the end or else in index order
+    const position = this.#sorted ? this.#insertionPoint(index) : this.#size;
+    for (let k = this.#size; k > position; k--) {
+      this.#move(k - 1, k);
+    }
+    this.#entities[position] = entity;
+    this.#write(position, component);
+    this.#sparse[index] = position;
+    this.#setSize(this.#size + 1);
+    this.#added.add(entity);
     return true;
   }
 
+  /**
+   * Adds or sets the components of many entities, growing the Pool at most once. New entities are appended
+   * and their components written column by column, rather than one add() at a time; sorted Pools fall back to add().
+   * @returns the number of components added or set.
+   * @param {number[]} entities
+   * @param {Array} components The component of each entity, in the same order.
+   */
+  addBatch(entities, components) {
+    this.#assertOwner();
+    if (entities.length !== components.length) {
+      throw new RangeError('addBatch needs one component per entity.');
+    }
+    let maxIndex = -1;
+    for (const entity of entities) {
+      this.#assert(entity);
+      maxIndex = Math.max(maxIndex, indexOf(entity));
+    }
+    if (maxIndex > this.#maxEntity) this.#growSparse(maxIndex);
+    if (this.#growth && this.#size + entities.length > this.#capacity) {
+      this.#growDense(this.#size + entities.length);
+    }
+
+    let count = 0;
+    if (this.#sorted) {
+      for (let i = 0; i < entities.length; i++) {
+        if (this.add(entities[i], components[i])) count++;
+      }
+      return count;
+    }
+
+    // place the entities first, remembering where each component goes (-1 when rejected)
+    const positions = new Int32Array(entities.length);
+    let size = this.#size;
+    for (let k = 0; k < entities.length; k++) {
+      const entity = entities[k];
+      const index = indexOf(entity);
+      const i = this.#sparse[index];
+      if (i < size && indexOf(this.#entities[i]) === index) {
+        // already in the Pool, or earlier in the batch: set it unless it is another generation
+        positions[k] = this.#entities[i] === entity ? i : -1;
+        if (positions[k] !== -1) {
+          this.#changed.add(entity);
+          count++;
+        }
+        continue;
+      }
+      if (size >= this.#capacity) {
+        positions[k] = -1;
+        continue;
+      }
+      this.#entities[size] = entity;
+      this.#sparse[index] = size;
+      this.#added.add(entity);
+      positions[k] = size++;
+      count++;
+    }
+
+    if (this.#columns) {
+      for (const [name, column] of this.#columns) {
+        for (let k = 0; k < entities.length; k++) {
+          if (positions[k] !== -1) column[positions[k]] = components[k][name];
+        }
+      }
+    } else {
+      for (let k = 0; k < entities.length; k++) {
+        if (positions[k] !== -1) this.#components[positions[k]] = components[k];
+      }
+    }
+    this.#setSize(size);
+    return count;
+  }
+
   /**
    * Removes a specified Entity from the Pool.
    * @returns Returns true if an Entity in the Pool existed and has been removed, or false if the Entity does not exist.
    * @param {number} entity 
    */
   delete(entity) {
+    this.#assertOwner();
     this.#assert(entity);
 
     if (!this.has(entity)) return false;
 
-    const index = this.#sparse[entity];
-    const lastEntity = this.#entities[this.#size - 1];
-    const lastComponent = this.#components[this.#size - 1];
-
-    this.#entities[index] = lastEntity;
-    this.#components[index] = lastComponent;
-
-    this.#sparse[lastEntity] = index;
-    this.#size--;
-    this.#components[this.#size] = null;
+    if (this.#sorted) {
+      for (let k = this.#sparse[indexOf(entity)]; k < this.#size - 1; k++) {
+        this.#move(k + 1, k);
+      }
+    } else {
+      this.#move(this.#size - 1, this.#sparse[indexOf(entity)]);
+    }
+    this.#setSize(this.#size - 1);
+    if (this.#components) this.#components[this.#size] = null;
 
+    this.#added.delete(entity);
+    this.#changed.delete(entity);
+    this.#removed.add(entity);
     return true;
   }
 
@@ -121,17 +464,86 @@ export default class Pool {
    * @param {number} entity 
    */
   has(entity) {
-    if (entity > this.#maxEntity) return false;
+    if (!isHandle(entity) || indexOf(entity) > this.#maxEntity) return false;
 
-    const i = this.#sparse[entity];
+    const i = this.#sparse[indexOf(entity)];
     return Number.isInteger(i) && i < this.#size && this.#entities[i] === entity;
   }
 
   clear() {
+    this.#assertOwner();
     for (let i = 0; i < this.#size; i++) {
-      this.#components[i] = null;
+      if (this.#components) this.#components[i] = null;
+      this.#removed.add(this.#entities[i]);
     }
-    this.#size = 0;
+    this.#added.clear();
+    this.#changed.clear();
+    this.#setSize(0);
+  }
+
+  /**
+   * Flags the Entity's Component as changed, for Components mutated in place rather than set with add().
+   * @returns Returns true if the Entity is in the Pool, otherwise false.
+   * @param {number} entity
+   */
+  markChanged(entity) {
+    if (!this.has(entity)) return false;
+    this.#changed.add(entity);
+    return true;
+  }
+
+  /**
+   * @returns a boolean indicating whether the Entity was added to the Pool since the last clearChanges().
+   * @param {number} entity
+   */
+  wasAdded(entity) {
+    return this.#added.has(entity);
+  }
+
+  /**
+   * @returns a boolean indicating whether the Entity's Component was set or marked changed since the last clearChanges(). Newly added Components are not counted as changed.
+   * @param {number} entity
+   */
+  wasChanged(entity) {
+    return this.#changed.has(entity);
+  }
+
+  /**
+   * @returns a boolean indicating whether the Entity was removed from the Pool since the last clearChanges().
+   * @param {number} entity
+   */
+  wasRemoved(entity) {
+    return this.#removed.has(entity);
+  }
+
+  /**
+   * Iterates the Entities added since the last clearChanges().
+   */
+  added() {
+    return this.#added.values();
+  }
+
+  /**
+   * Iterates the Entities whose Components changed since the last clearChanges().
+   */
+  changed() {
+    return this.#changed.values();
+  }
+
+  /**
+   * Iterates the Entities removed since the last clearChanges().
+   */
+  removed() {
+    return this.#removed.values();
+  }
+
+  /**
+   * Forgets all added, changed, and removed Entities.
+   */
+  clearChanges() {
+    this.#added.clear();
+    this.#changed.clear();
+    this.#removed.clear();
   }
 
   /**
@@ -141,7 +553,7 @@ export default class Pool {
    */
   forEach(callbackfn, thisArg) {
     for (let i = 0; i < this.#size; i++) {
-      callbackfn.call(thisArg, this.#components[i], this.#entities[i], this);
+      callbackfn.call(thisArg, this.#componentAt(i), this.#entities[i], this);
     }
   }
 
@@ -150,17 +562,152 @@ export default class Pool {
    * @param {number} entity 
    */
   get(entity) {
-    if (!Number.isInteger(entity) || entity < 0 || entity > this.#maxEntity) {
+    if (!isHandle(entity) || indexOf(entity) > this.#maxEntity) {
       return undefined;
     }
 
-    const i = this.#sparse[entity];
+    const i = this.#sparse[indexOf(entity)];
     if (i < this.#size && this.#entities[i] === entity) {
-      return this.#components[i];
+      return this.#componentAt(i);
     }
     return undefined;
   }
 
+  /**
+   * @returns the Entity's position in the dense arrays (and columns), or -1 if it is not in the Pool. Positions change as Entities are removed.
+   * @param {number} entity
+   */
+  denseIndex(entity) {
+    if (!this.has(entity)) return -1;
+    return this.#sparse[indexOf(entity)];
+  }
+
+  /**
+   * @returns the Entity at a position in the dense arrays, or undefined if the position is not in use.
+   * @param {number} i
+   */
+  entityAt(i) {
+    return i >= 0 && i < this.#size ? this.#entities[i] : undefined;
+  }
+
+  /**
+   * @returns the component at a position in the dense arrays, or undefined if the position is not in use.
+   * @param {number} i
+   */
+  componentAt(i) {
+    return i >= 0 && i < this.#size ? this.#componentAt(i) : undefined;
+  }
+
+  /**
+   * Swaps two positions in the dense arrays (and columns), moving their Entities and components together.
+   * @returns true if swapped, or false if either position is not in use.
+   * @param {number} i
+   * @param {number} j
+   */
+  swap(i, j) {
+    this.#assertUnowned();
+    return this.#swap(i, j);
+  }
+
+  #swap(i, j) {
+    this.#assertOwner();
+    this.#assertUnsorted();
+    if (!(i >= 0 && i < this.#size && j >= 0 && j < this.#size)) return false;
+    if (i === j) return true;
+    const entities = this.#entities;
+    [entities[i], entities[j]] = [entities[j], entities[i]];
+    this.#sparse[indexOf(entities[i])] = i;
+    this.#sparse[indexOf(entities[j])] = j;
+    if (this.#columns) {
+      for (const column of this.#columns.values()) {
+        [column[i], column[j]] = [column[j], column[i]];
+      }
+    } else {
+      [this.#components[i], this.#components[j]] = [this.#components[j], this.#components[i]];
+    }
+    return true;
+  }
+
+  /**
+   * Sorts the Pool's entries in place, moving Entities and components together and keeping lookups intact. The sort is stable.
+   * Later additions are appended, and deletions swap the last entry in, so sort again when order matters.
+   * A Pool owned by a group is sorted through World.sortComponents() instead.
+   * @param {function} compareFn Called as `compareFn(componentA, componentB, entityA, entityB)`, like Array.prototype.sort's.
+   * @param {number} start First dense position to sort.
+   * @param {number} end Position to sort up to, exclusive.
+   * @returns this
+   */
+  sort(compareFn, start = 0, end = this.#size) {
+    this.#assertUnowned();
+    return this.#sort(compareFn, start, end);
+  }
+
+  #sort(compareFn, start = 0, end = this.#size) {
+    this.#assertOwner();
+    this.#assertUnsorted();
+    if (typeof compareFn !== 'function') {
+      throw new TypeError('compareFn must be a function.');
+    }
+    end = Math.min(end, this.#size);
+    const entries = [];
+    for (let i = start; i < end; i++) {
+      entries.push({ entity: this.#entities[i], component: this.#componentAt(i), i });
+    }
+    entries.sort((a, b) => compareFn(a.component, b.component, a.entity, b.entity));
+
+    // write every entry to its sorted position from copies of the old order
+    entries.forEach(({ entity }, k) => {
+      this.#entities[start + k] = entity;
+      this.#sparse[indexOf(entity)] = start + k;
+    });
+    if (this.#columns) {
+      for (const column of this.#columns.values()) {
+        const values = column.slice(start, end);
+        entries.forEach(({ i }, k) => { column[start + k] = values[i - start]; });
+      }
+    } else {
+      entries.forEach(({ component }, k) => { this.#components[start + k] = component; });
+    }
+    return this;
+  }
+
+  /**
+   * Hands the order of the Pool's entries to an owner, such as a Group: swap() and sort() then throw,
+   * and only the owner reorders the Pool, through the returned functions.
+   * @returns {{swap: function, sort: function, release: function}} release() gives the order back.
+   */
+  own() {
+    if (this.#owned) {
+      throw new Error('Pool is already owned.');
+    }
+    this.#owned = true;
+    return {
+      swap: (i, j) => this.#swap(i, j),
+      sort: (compareFn, start, end) => this.#sort(compareFn, start, end),
+      release: () => { this.#owned = false; },
+    };
+  }
+
+  get owned() {
+    return this.#owned;
+  }
+
+  /**
+   * @returns the TypedArray holding a field of every component in dense order, or undefined if the Pool has no such column.
+   * Only the first `size` values are in use. The array is replaced when the Pool grows, so fetch it again rather than keeping it.
+   * @param {string} name
+   */
+  column(name) {
+    return this.#columns?.get(name);
+  }
+
+  /**
+   * @returns the names of the Pool's columns, or an empty array if it stores components as objects.
+   */
+  get columnNames() {
+    return this.#columns ? [...this.#columns.keys()] : [];
+  }
+
   *keys() {
     for (let i = 0; i < this.#size; i++) {
       yield this.#entities[i];
@@ -169,13 +716,13 @@ export default class Pool {
 
   *values() {
     for (let i = 0; i < this.#size; i++) {
-      yield this.#components[i];
+      yield this.#componentAt(i);
     }
   }
 
   *entries() {
     for (let i = 0; i < this.#size; i++) {
-      yield [this.#entities[i], this.#components[i]];
+      yield [this.#entities[i], this.#componentAt(i)];
     }
   }
 
@@ -184,6 +731,9 @@ export default class Pool {
   }
 
   toArray() {
+    if (this.#columns) {
+      return Array.from({ length: this.#size }, (_, i) => this.#componentAt(i));
+    }
     return this.#components.slice(0, this.#size);
   }
 
@@ -195,9 +745,68 @@ export default class Pool {
     return this.#size === 0;
   }
 
+  /**
+   * @returns a structured-cloneable description of a shared Pool's buffers, to post to a worker and pass to Pool.attach().
+   */
+  share() {
+    if (!this.#meta) {
+      throw new TypeError('Only pools created with shared memory can be shared.');
+    }
+    const describe = array => ({ type: array.constructor.name, buffer: array.buffer });
+    return {
+      capacity: this.#capacity,
+      maximumEntity: this.#maxEntity,
+      meta: this.#meta.buffer,
+      sparse: describe(this.#sparse),
+      entities: describe(this.#entities),
+      columns: this.#columns ? Object.fromEntries([...this.#columns].map(([name, column]) => [name, describe(column)])) : null,
+    };
+  }
+
+  /**
+   * Creates a Pool over the buffers of a shared Pool, typically in another thread. Attached Pools cannot add or delete entities,
+   * and see the owner's changes after sync().
+   * @param {object} descriptor Output of share().
+   * @param {object} options
+   * @param {boolean} options.readOnly Reject writes through column views. Columns returned by column() stay writable.
+   * @param {object} options.prototype Prototype of column views.
+   */
+  static attach(descriptor, { readOnly = true, prototype = Object.prototype } = {}) {
+    const open = ({ type, buffer }) => new typedArrays[type](buffer);
+    const pool = new Pool(0, 0, Uint8Array);
+    pool.#capacity = descriptor.capacity;
+    pool.#maxEntity = descriptor.maximumEntity;
+    pool.#sparse = open(descriptor.sparse);
+    pool.#entities = open(descriptor.entities);
+    pool.#components = descriptor.columns ? null : new Array(descriptor.capacity).fill(null);
+    if (descriptor.columns) {
+      pool.#columns = new Map(Object.entries(descriptor.columns).map(([name, column]) => [name, open(column)]));
+      pool.#viewPrototype = pool.#createViewPrototype(prototype);
+    }
+    pool.#meta = new Int32Array(descriptor.meta);
+    pool.#attached = true;
+    pool.#readOnly = readOnly;
+    pool.sync();
+    return pool;
+  }
+
+  /**
+   * Picks up the owning thread's latest size. Only needed by attached Pools, after each frame handoff.
+   */
+  sync() {
+    if (this.#meta) this.#size = Atomics.load(this.#meta, 0);
+  }
+
+  get shared() {
+    return this.#meta !== null;
+  }
+
   static default(capacity=1000, maximumEntity=65535, UintXXArray=Uint16Array) {
     return new Pool(capacity, maximumEntity, UintXXArray);
   }
+  static growable(capacity = 16, maximumEntity = 255, UintXXArray = Uint8Array, growth = double) {
+    return new Pool(capacity, maximumEntity, UintXXArray, growth);
+  }
   static defaultSmall(capacity = 255, maximumEntity = 255, UintXXArray = Uint8Array) {
     return new Pool(capacity, maximumEntity, UintXXArray);
   }
@@ -0,0 +1,83 @@
+import { TagComponent } from './tags.js';
+
+/**
+ * Prefabs holds named entity templates: the components to spawn an entity with, optionally on top of a base prefab's.
+ * Components are kept as plain `{ type, ...fields }` data and are never handed out, so spawned entities cannot change a prefab.
+ */
+export default class Prefabs {
+  #prefabs;
+
+  constructor() {
+    this.#prefabs = new Map(); // name => {base, components: Map of typeName => data}
+  }
+
+  /**
+   * @param {string} name
+   * @param {Array} components Component instances or plain `{ type, ...fields }` data.
+   * @param {string} base Name of the prefab to inherit from. It may be defined later, but must exist by the time this one is spawned.
+   */
+  define(name, components = [], base = null) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('Prefab name must be a non-empty string.');
+    }
+    if (base === name) {
+      throw new Error(`Prefab "${name}" cannot extend itself.`);
+    }
+    const data = new Map();
+    for (const component of components) {
+      const isInstance = typeof component === 'object' && component.constructor !== Object;
+      const typeName = isInstance && !(component instanceof TagComponent) ? component.constructor.name : component?.type;
+      if (!typeName) {
+        throw new TypeError(`Component "${component}" of prefab "${name}" is missing a "type" property.`);
+      }
+      data.set(typeName, structuredClone({ ...component, type: typeName }));
+    }
+    this.#prefabs.set(name, { base, components: data });
+  }
+
+  has(name) {
+    return this.#prefabs.has(name);
+  }
+
+  delete(name) {
+    return this.#prefabs.delete(name);
+  }
+
+  /**
+   * Defines prefabs from designer-authored JSON: `{ "Goblin": { "extends": "Monster", "components": [{ "type": "Health", "max": 30 }] } }`.
+   * @param {string|object} json
+   * @returns the names defined.
+   */
+  load(json) {
+    const definitions = typeof json === 'string' ? JSON.parse(json) : json;
+    for (const [name, { extends: base = null, components = [] }] of Object.entries(definitions)) {
+      this.define(name, components, base);
+    }
+    return Object.keys(definitions);
+  }
+
+  /**
+   * Merges a prefab's components over those of its bases, field by field, so a prefab only lists what it changes.
+   * @returns a Map of typeName => fresh data, deep-cloned from the definitions.
+   */
+  resolve(name) {
+    const chain = [];
+    for (let current = name; current !== null; current = this.#prefabs.get(current).base) {
+      if (!this.#prefabs.has(current)) {
+        throw new Error(`Unknown prefab "${current}".`);
+      }
+      if (chain.includes(current)) {
+        throw new Error(`Prefab "${name}" inherits from itself through "${current}".`);
+      }
+      chain.push(current);
+    }
+
+    const components = new Map();
+    for (const prefab of chain.reverse()) {
+      for (const [typeName, data] of this.#prefabs.get(prefab).components) {
+        components.set(typeName, { ...components.get(typeName), ...structuredClone(data) });
+      }
+    }
+    return components;
+  }
+}
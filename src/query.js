@@ -0,0 +1,205 @@
+import Pool from './pool.js';
+
+/**
+ * A Query is a persistent view over the entities of a World matching a set of component filters:
+ * - all: entities must have every one of these components.
+ * - any: entities must have at least one of these components (ignored when empty).
+ * - none: entities must have none of these components.
+ * - added, changed, removed: entities whose components of these types were added, changed, or removed since the World last cleared changes.
+ * - pairs, notPairs: entities must have (or must not have) each [relation, target] pair; see World.addRelation.
+ *
+ * Queries are created and kept up to date by the World (see World.query) as components are added and removed
+ * and entities are destroyed, so iterating one never rebuilds or sorts the pools.
+ */
+export default class Query {
+  #pools;
+  #all;
+  #any;
+  #none;
+  #added;
+  #changed;
+  #removed;
+  #pairs;
+  #notPairs;
+  #members;
+  #typeNames;
+  #resolved;
+  #args;
+
+  /**
+   * @param {Map<string, Pool>} pools The World's component pools, by type name.
+   * @param {{all: string[], any: string[], none: string[], added?: string[], changed?: string[], removed?: string[],
+   * pairs?: Array<[string, number]>, notPairs?: Array<[string, number]>}} typeNames Validated component type names.
+   * Types listed under added or changed, and the relation types of pairs, should be listed under all too.
+   * @param {Pool} members Empty Pool used to hold the matching entities, unless the query tracks changes.
+   */
+  constructor(pools, { all = [], any = [], none = [], added = [], changed = [], removed = [], pairs = [], notPairs = [] }, members) {
+    this.#pools = pools;
+    this.#all = all;
+    this.#any = any;
+    this.#none = none;
+    this.#added = added;
+    this.#changed = changed;
+    this.#removed = removed;
+    this.#pairs = pairs;
+    this.#notPairs = notPairs;
+    // a destroyed entity stays in a change-tracking query (for Removed()) while its index may already be reused,
+    // and a Pool holds one generation per index, so those queries keep their members in a Set
+    this.#members = this.tracksChanges ? new Set() : members;
+
+    // reused by forEach so that iterating does not allocate
+    this.#typeNames = [...all, ...any];
+    this.#resolved = new Array(this.#typeNames.length);
+    this.#args = new Array(1 + this.#typeNames.length);
+  }
+
+  /**
+   * Builds the cache key shared by every query with the same filters, regardless of term order.
+   */
+  static key({ all = [], any = [], none = [], added = [], changed = [], removed = [], pairs = [], notPairs = [] }) {
+    const pair = ([typeName, target]) => `${typeName}(${target})`;
+    const terms = { all, any, none, added, changed, removed, pairs: pairs.map(pair), notPairs: notPairs.map(pair) };
+    return Object.entries(terms).map(([name, typeNames]) => `${name}:${[...typeNames].sort()}`).join('|');
+  }
+
+  /**
+   * @returns the number of entities matching the query.
+   */
+  get size() {
+    return this.#members.size;
+  }
+
+  get all() {
+    return this.#all;
+  }
+
+  get any() {
+    return this.#any;
+  }
+
+  get none() {
+    return this.#none;
+  }
+
+  /**
+   * True if the query uses added, changed, or removed terms, so its matches only last until changes are cleared.
+   */
+  get tracksChanges() {
+    return this.#added.length + this.#changed.length + this.#removed.length > 0;
+  }
+
+  /**
+   * @returns a boolean indicating whether the entity currently matches the query.
+   * @param {number} entity
+   */
+  has(entity) {
+    return this.#members.has(entity);
+  }
+
+  /**
+   * @returns a boolean indicating whether the query filters on the given component type.
+   * @param {string} typeName
+   */
+  watches(typeName) {
+    return this.#all.includes(typeName) || this.#any.includes(typeName) || this.#none.includes(typeName)
+      || this.#removed.includes(typeName) || this.#notPairs.some(([relation]) => relation === typeName);
+  }
+
+  /**
+   * Tests the entity against the component pools, ignoring the cached result.
+   * @param {number} entity
+   */
+  matches(entity) {
+    for (const typeName of this.#all) {
+      if (!this.#pools.get(typeName)?.has(entity)) return false;
+    }
+    for (const typeName of this.#none) {
+      if (this.#pools.get(typeName)?.has(entity)) return false;
+    }
+    for (const typeName of this.#added) {
+      if (!this.#pools.get(typeName)?.wasAdded(entity)) return false;
+    }
+    for (const typeName of this.#changed) {
+      if (!this.#pools.get(typeName)?.wasChanged(entity)) return false;
+    }
+    for (const typeName of this.#removed) {
+      if (!this.#pools.get(typeName)?.wasRemoved(entity)) return false;
+    }
+    for (const [typeName, target] of this.#pairs) {
+      if (!this.#pools.get(typeName)?.get(entity)?.targets?.has(target)) return false;
+    }
+    for (const [typeName, target] of this.#notPairs) {
+      if (this.#pools.get(typeName)?.get(entity)?.targets?.has(target)) return false;
+    }
+    if (this.#any.length === 0) return true;
+    for (const typeName of this.#any) {
+      if (this.#pools.get(typeName)?.has(entity)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Re-tests an entity and adds it to or removes it from the query. Called by the World on structural changes.
+   * @param {number} entity
+   */
+  refresh(entity) {
+    if (this.matches(entity)) {
+      if (this.#members instanceof Set) this.#members.add(entity);
+      else this.#members.add(entity, null);
+    } else {
+      this.#members.delete(entity);
+    }
+  }
+
+  /**
+   * Removes an entity from the query without testing it. Called by the World when the entity is destroyed.
+   * @param {number} entity
+   */
+  evict(entity) {
+    this.#members.delete(entity);
+  }
+
+  clear() {
+    this.#members.clear();
+  }
+
+  /**
+   * Executes a provided function once per matching entity with the entity followed by its components,
+   * in the order of the query's all terms and then its any terms (undefined for any terms the entity lacks).
+   * @param {function} callbackfn
+   * @param {*} thisArg
+   */
+  forEach(callbackfn, thisArg) {
+    const pools = this.#resolved;
+    // looked up again on each call, in place, since a pool may be created or deregistered after the query
+    for (let i = 0; i < pools.length; i++) {
+      pools[i] = this.#pools.get(this.#typeNames[i]);
+    }
+    if (this.#members instanceof Set) {
+      for (const entity of this.#members) this.#visit(entity, callbackfn, thisArg);
+    } else {
+      for (let i = 0; i < this.#members.size; i++) this.#visit(this.#members.entityAt(i), callbackfn, thisArg);
+    }
+  }
+
+  #visit(entity, callbackfn, thisArg) {
+    const args = this.#args;
+    const pools = this.#resolved;
+    args[0] = entity;
+    for (let i = 0; i < pools.length; i++) {
+      args[i + 1] = pools[i]?.get(entity);
+    }
+    callbackfn.apply(thisArg, args);
+  }
+
+  /**
+   * Iterates the matching entities.
+   */
+  [Symbol.iterator]() {
+    return this.#members.keys();
+  }
+
+  toArray() {
+    return this.#members instanceof Set ? [...this.#members] : Array.from(this.#members.entitiesToArray());
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * RelationIndex maps relation pairs in both directions: each source's targets per relation type,
+ * and each target's sources per relation type, so "who targets X" does not scan the relation's pool.
+ * The World keeps it in sync as relation components are set and removed.
+ */
+export default class RelationIndex {
+  #targets;
+  #sources;
+
+  constructor() {
+    this.#targets = new Map(); // typeName => Map of source => Set of targets
+    this.#sources = new Map(); // target => Map of typeName => Set of sources
+  }
+
+  /**
+   * Replaces the targets indexed for a source's relation.
+   * @param {string} typeName
+   * @param {number} source
+   * @param {Iterable<number>} targets
+   */
+  set(typeName, source, targets) {
+    this.delete(typeName, source);
+    const indexed = new Set(targets);
+    if (indexed.size === 0) return;
+    if (!this.#targets.has(typeName)) this.#targets.set(typeName, new Map());
+    this.#targets.get(typeName).set(source, indexed);
+    for (const target of indexed) {
+      if (!this.#sources.has(target)) this.#sources.set(target, new Map());
+      const byType = this.#sources.get(target);
+      if (!byType.has(typeName)) byType.set(typeName, new Set());
+      byType.get(typeName).add(source);
+    }
+  }
+
+  /**
+   * Forgets every target of a source's relation.
+   */
+  delete(typeName, source) {
+    const targets = this.#targets.get(typeName)?.get(source);
+    if (!targets) return;
+    this.#targets.get(typeName).delete(source);
+    for (const target of targets) {
+      const byType = this.#sources.get(target);
+      const sources = byType.get(typeName);
+      sources.delete(source);
+      if (sources.size === 0) byType.delete(typeName);
+      if (byType.size === 0) this.#sources.delete(target);
+    }
+  }
+
+  /**
+   * @returns the set of entities with the given relation to the target. Do not modify it.
+   */
+  sources(typeName, target) {
+    return this.#sources.get(target)?.get(typeName) ?? new Set();
+  }
+
+  /**
+   * @returns [typeName, sources] for every relation type targeting the entity, as a copy that is safe to iterate while removing relations.
+   */
+  relationsTo(target) {
+    return [...this.#sources.get(target) ?? []].map(([typeName, sources]) => [typeName, [...sources]]);
+  }
+
+  clear() {
+    this.#targets.clear();
+    this.#sources.clear();
+  }
+}
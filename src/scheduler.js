@@ -0,0 +1,132 @@
+/**
+ * Default stages, run in this order by World.update().
+ */
+export const DEFAULT_STAGES = ['preUpdate', 'update', 'postUpdate', 'render'];
+
+/**
+ * Scheduler orders a World's systems: by stage, then by before/after constraints, then by priority (highest first) and name.
+ */
+export default class Scheduler {
+  #stages;
+  #systems;
+  #order;
+
+  constructor(stages = DEFAULT_STAGES) {
+    this.#stages = [...stages];
+    this.#systems = new Map(); // name => {name, system, stage, priority, before, after, runIf}
+    this.#order = new Map(); // stage => ordered systems, rebuilt when systems change
+  }
+
+  /**
+   * @returns the stage names in the order they run.
+   */
+  get stages() {
+    return [...this.#stages];
+  }
+
+  /**
+   * Adds a stage, at the end or next to an existing stage.
+   * @param {string} name
+   * @param {{before?: string, after?: string}} position
+   * @returns true if added, or false if the stage already exists.
+   */
+  addStage(name, { before, after } = {}) {
+    if (this.#stages.includes(name)) return false;
+    const anchor = before ?? after;
+    if (anchor === undefined) {
+      this.#stages.push(name);
+      return true;
+    }
+    const index = this.#stages.indexOf(anchor);
+    if (index === -1) {
+      throw new Error(`Stage "${anchor}" does not exist.`);
+    }
+    this.#stages.splice(before !== undefined ? index : index + 1, 0, name);
+    return true;
+  }
+
+  /**
+   * @param {object} system {name, system, stage, priority, before, after, runIf}, with before/after as system names.
+   * @returns true if added, or false if a system with the same name exists.
+   * Throws if the stage does not exist or the system's constraints form a cycle.
+   */
+  add(system) {
+    if (this.#systems.has(system.name)) return false;
+    if (!this.#stages.includes(system.stage)) {
+      throw new Error(`Stage "${system.stage}" does not exist.`);
+    }
+    this.#systems.set(system.name, system);
+    this.#order.delete(system.stage);
+    try {
+      this.ordered(system.stage);
+    } catch (error) {
+      this.#systems.delete(system.name);
+      this.#order.delete(system.stage);
+      throw error;
+    }
+    return true;
+  }
+
+  get(name) {
+    return this.#systems.get(name);
+  }
+
+  remove(name) {
+    const system = this.#systems.get(name);
+    if (!system) return false;
+    this.#systems.delete(name);
+    this.#order.delete(system.stage);
+    return true;
+  }
+
+  /**
+   * @returns the systems of a stage in run order.
+   * @param {string} stage
+   */
+  ordered(stage) {
+    let order = this.#order.get(stage);
+    if (!order) {
+      order = this.#sort(stage);
+      this.#order.set(stage, order);
+    }
+    return order;
+  }
+
+  // topological sort (Kahn's algorithm), picking the highest priority, then lowest name, among the systems ready to run
+  #sort(stage) {
+    const systems = [...this.#systems.values()].filter(system => system.stage === stage);
+    const names = new Set(systems.map(system => system.name));
+    const dependents = new Map(systems.map(system => [system.name, []]));
+    const blockers = new Map(systems.map(system => [system.name, 0]));
+
+    // constraints on systems in other stages or not registered are ignored
+    const edge = (from, to) => {
+      if (!names.has(from) || !names.has(to)) return;
+      dependents.get(from).push(to);
+      blockers.set(to, blockers.get(to) + 1);
+    };
+    for (const system of systems) {
+      for (const name of system.after) edge(name, system.name);
+      for (const name of system.before) edge(system.name, name);
+    }
+
+    const compare = (a, b) => b.priority - a.priority || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    const ready = systems.filter(system => blockers.get(system.name) === 0);
+    const order = [];
+    while (ready.length > 0) {
+      ready.sort(compare);
+      const system = ready.shift();
+      order.push(system);
+      for (const name of dependents.get(system.name)) {
+        blockers.set(name, blockers.get(name) - 1);
+        if (blockers.get(name) === 0) ready.push(this.#systems.get(name));
+      }
+    }
+
+    if (order.length < systems.length) {
+      const cycle = systems.filter(system => blockers.get(system.name) > 0).map(system => system.name);
+      throw new Error(`Systems [${cycle.join(', ')}] have cyclic before/after constraints.`);
+    }
+    return order;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Component schemas describe the fields of a component type so the World can validate them and fill in defaults.
+ *
+ * A schema maps field names to a field type, or to `{ type, default }`:
+ *   { x: 'number', y: { type: 'number', default: 0 }, tags: { type: 'array', default: () => [] } }
+ *
+ * Field types are 'number', 'string', 'boolean', 'object', 'array', and 'any', or one of the numeric column types
+ * 'f32', 'f64', 'i8', 'i16', 'i32', 'u8', 'u16' and 'u32'. A schema made only of column types is stored
+ * in TypedArray columns (see columnsFor). Values of the integer types must be integers within the type's range.
+ * Fields without a default are required. Object and array defaults are cloned for every component;
+ * function defaults are called for every component.
+ */
+
+const validators = {
+  number: value => typeof value === 'number',
+  string: value => typeof value === 'string',
+  boolean: value => typeof value === 'boolean',
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  any: () => true,
+};
+
+/**Numeric field types and the TypedArray columns that store them */
+export const columnTypes = {
+  f32: Float32Array,
+  f64: Float64Array,
+  i8: Int8Array,
+  i16: Int16Array,
+  i32: Int32Array,
+  u8: Uint8Array,
+  u16: Uint16Array,
+  u32: Uint32Array,
+};
+
+// integer columns would silently truncate or wrap values outside their range
+const integerRanges = {
+  i8: [-(2 ** 7), 2 ** 7 - 1],
+  i16: [-(2 ** 15), 2 ** 15 - 1],
+  i32: [-(2 ** 31), 2 ** 31 - 1],
+  u8: [0, 2 ** 8 - 1],
+  u16: [0, 2 ** 16 - 1],
+  u32: [0, 2 ** 32 - 1],
+};
+
+for (const type of Object.keys(columnTypes)) {
+  const range = integerRanges[type];
+  validators[type] = range
+    ? value => Number.isInteger(value) && value >= range[0] && value <= range[1]
+    : value => typeof value === 'number';
+}
+
+/**
+ * Expands shorthand field types and checks the schema is well formed.
+ * @param {object} schema
+ * @returns {Map<string, {type: string, default: *, required: boolean}>}
+ */
+export function normalizeSchema(schema) {
+  if (typeof schema !== 'object' || schema === null) {
+    throw new TypeError('schema must be an object of field types.');
+  }
+  const fields = new Map();
+  for (const [name, field] of Object.entries(schema)) {
+    const spec = typeof field === 'string' ? { type: field } : field;
+    if (!validators[spec?.type]) {
+      throw new TypeError(`Field "${name}" has unknown type "${spec?.type}".`);
+    }
+    fields.set(name, { type: spec.type, default: spec.default, required: !('default' in spec) });
+  }
+  return fields;
+}
+
+/**
+ * Fills in defaults for missing fields and validates the rest, in place.
+ * @param {string} typeName Component type, for error messages.
+ * @param {Map} fields Output of normalizeSchema().
+ * @param {object} component
+ * @returns the component.
+ */
+export function applySchema(typeName, fields, component) {
+  for (const [name, field] of fields) {
+    if (component[name] === undefined) {
+      if (field.required) {
+        throw new TypeError(`Component "${typeName}" is missing required field "${name}".`);
+      }
+      component[name] = typeof field.default === 'function' ? field.default()
+        : typeof field.default === 'object' && field.default !== null ? structuredClone(field.default)
+          : field.default;
+      continue;
+    }
+    if (!validators[field.type](component[name])) {
+      const range = integerRanges[field.type];
+      throw new TypeError(`Component "${typeName}" field "${name}" must be of type ${field.type}`
+        + (range ? `, an integer from ${range[0]} to ${range[1]}.` : '.'));
+    }
+  }
+  return component;
+}
+
+/**
+ * @param {Map} fields Output of normalizeSchema().
+ * @returns the TypedArray constructor for each field if every field is a numeric column type, otherwise null.
+ */
+export function columnsFor(fields) {
+  if (fields.size === 0) return null;
+  const columns = {};
+  for (const [name, field] of fields) {
+    if (!columnTypes[field.type]) return null;
+    columns[name] = columnTypes[field.type];
+  }
+  return columns;
+}
@@ -0,0 +1,180 @@
+import Pool from './pool.js';
+
+/**
+ * Sharing a World with worker threads.
+ *
+ * Ownership rule: the thread that created the World owns it. Only the owner makes structural changes
+ * (spawn, destroy, adding and removing components). Between FrameSignal.handoff() and the workers' release(),
+ * the owner leaves the shared pools alone and workers may read them, and write column values in place if attached
+ * read-write. Workers never add or remove entities; they can record commands and post them back instead.
+ */
+
+// Int32 slots of the signal buffer
+const FRAME = 0;
+const PENDING = 1;
+
+/**
+ * Atomics-based handoff of frames between the owning thread and its workers.
+ */
+export class FrameSignal {
+  #state;
+
+  /**
+   * @param {SharedArrayBuffer} buffer Buffer of an existing signal, to attach to it from another thread.
+   */
+  constructor(buffer = new SharedArrayBuffer(2 * Int32Array.BYTES_PER_ELEMENT)) {
+    this.#state = new Int32Array(buffer);
+  }
+
+  get buffer() {
+    return this.#state.buffer;
+  }
+
+  /**
+   * @returns the number of the latest frame handed off.
+   */
+  get frame() {
+    return Atomics.load(this.#state, FRAME);
+  }
+
+  /**
+   * @returns the number of workers that have not released the current frame.
+   */
+  get pending() {
+    return Atomics.load(this.#state, PENDING);
+  }
+
+  /**
+   * Owner: hands the next frame to the given number of workers and wakes them.
+   * @returns the new frame number.
+   */
+  handoff(workers = 1) {
+    Atomics.store(this.#state, PENDING, workers);
+    const frame = Atomics.add(this.#state, FRAME, 1) + 1;
+    Atomics.notify(this.#state, FRAME);
+    return frame;
+  }
+
+  /**
+   * Worker: blocks until a frame after lastFrame is handed off.
+   * @param {number} lastFrame The last frame this worker processed.
+   * @param {number} timeout Milliseconds to wait.
+   * @returns the new frame number, or null if the wait timed out.
+   */
+  waitForFrame(lastFrame, timeout = Infinity) {
+    if (Atomics.wait(this.#state, FRAME, lastFrame, timeout) === 'timed-out') return null;
+    return this.frame;
+  }
+
+  /**
+   * Worker: hands the current frame back, waking the owner once every worker has released it.
+   */
+  release() {
+    if (Atomics.sub(this.#state, PENDING, 1) === 1) {
+      Atomics.notify(this.#state, PENDING);
+    }
+  }
+
+  /**
+   * Owner: blocks until every worker has released the frame. Not allowed on a browser's main thread; use released() there.
+   * @param {number} timeout Milliseconds to wait.
+   * @returns true once released, or false if the wait timed out.
+   */
+  waitForRelease(timeout = Infinity) {
+    let pending;
+    while ((pending = this.pending) > 0) {
+      if (Atomics.wait(this.#state, PENDING, pending, timeout) === 'timed-out') return false;
+    }
+    return true;
+  }
+
+  /**
+   * Owner: resolves once every worker has released the frame, without blocking the thread.
+   * @returns {Promise<void>}
+   */
+  async released() {
+    let pending;
+    while ((pending = this.pending) > 0) {
+      if (typeof Atomics.waitAsync === 'function') {
+        const result = Atomics.waitAsync(this.#state, PENDING, pending);
+        if (result.async) await result.value;
+      } else {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+  }
+}
+
+/**
+ * A worker's view of a shared World: its shared pools and frame signal, built from World.share().
+ */
+export class WorldView {
+  #pools;
+  #signal;
+  #frame;
+
+  /**
+   * @param {object} descriptor Output of World.share(), posted to the worker.
+   * @param {object} options
+   * @param {boolean} options.readOnly Attach the pools read-only.
+   */
+  constructor(descriptor, { readOnly = true } = {}) {
+    this.#pools = new Map(descriptor.pools.map(([typeName, pool]) => [
+      typeName,
+      Pool.attach(pool, { readOnly, prototype: { type: typeName } }),
+    ]));
+    this.#signal = new FrameSignal(descriptor.signal);
+    this.#frame = descriptor.frame ?? this.#signal.frame;
+  }
+
+  get signal() {
+    return this.#signal;
+  }
+
+  /**
+   * @returns the attached Pool for a component type (Class, object, or string), or undefined if it was not shared.
+   */
+  getPool(type) {
+    const typeName = typeof type === 'function' ? type.name : type?.type ?? type;
+    return this.#pools.get(typeName);
+  }
+
+  /**
+   * @returns the entities in every given pool, walking the smallest.
+   */
+  all(...types) {
+    const pools = types.map(type => this.getPool(type));
+    if (pools.length === 0 || pools.some(pool => !pool)) return [];
+    pools.sort((a, b) => a.size - b.size);
+    const [smallestPool, ...remainingPools] = pools;
+    return [...smallestPool.keys()].filter(entity => remainingPools.every(pool => pool.has(entity)));
+  }
+
+  /**
+   * Re-reads the owner's pool sizes.
+   */
+  sync() {
+    for (const pool of this.#pools.values()) {
+      pool.sync();
+    }
+  }
+
+  /**
+   * Blocks until the owner hands off the next frame, then syncs.
+   * @returns the frame number, or null if the wait timed out.
+   */
+  waitForFrame(timeout = Infinity) {
+    const frame = this.#signal.waitForFrame(this.#frame, timeout);
+    if (frame === null) return null;
+    this.#frame = frame;
+    this.sync();
+    return frame;
+  }
+
+  /**
+   * Hands the frame back to the owner.
+   */
+  release() {
+    this.#signal.release();
+  }
+}
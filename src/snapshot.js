@@ -0,0 +1,330 @@
+import { columnTypes } from './schema.js';
+
+/**
+ * Binary snapshot format for World.serialize() / World.deserialize().
+ *
+ * All integers are unsigned little-endian, and column values little-endian too. Sections are padded to 4 bytes.
+ *
+ * Header (28 bytes)
+ *   u32  magic            'SSEC'
+ *   u16  version          SNAPSHOT_VERSION
+ *   u16  flags            bit 0: world is growable
+ *   u32  capacity
+ *   u32  nextId
+ *   u32  entityCount
+ *   u32  recycledCount
+ *   u32  typeCount
+ * Entity lists
+ *   u32[entityCount]      living entity handles
+ *   u32[recycledCount]    recycled entity handles, in recycling order
+ * Component type table, typeCount times
+ *   u32  byteLength, then the UTF-8 type name
+ * Pools, typeCount times, in type table order
+ *   u32  count
+ *   u32[count]            entity handles, in dense order
+ *   u32  columnCount      0 for pools storing components as objects
+ *   then, if columnCount is 0:
+ *     u32  byteLength, then the components as a UTF-8 JSON array, in dense order
+ *   otherwise, columnCount times:
+ *     u32  byteLength, then the UTF-8 field name
+ *     u32  byteLength, then the UTF-8 TypedArray name, e.g. 'Float32Array'
+ *     u32  byteLength, then the column's first `count` values, little-endian
+ * Resources
+ *   u32  byteLength, then the resources as a UTF-8 JSON array of [typeName, value] pairs
+ * Relations
+ *   u32  byteLength, then the relation type names as a UTF-8 JSON array
+ * Tags
+ *   u32  byteLength, then the tag type names as a UTF-8 JSON array
+ *
+ * The JSON form is the World's `state` object passed through JSON.stringify:
+ *   { nextId, entities: [handle], recycledEntities: [handle], capacity, maxEntity, growth,
+ *     pools: [[typeName, [[handle, component], ...]], ...], resources: [[typeName, value], ...],
+ *     relations: [typeName], tags: [typeName] }
+ * To be written as columns, a pool is given to encodeSnapshot() as `[typeName, { entities: [handle], columns: { name: TypedArray } }]`
+ * instead. Decoding always returns components, rebuilt as `{ type, ...fields }` from the columns.
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+// column TypedArray constructors by name
+const columnArrays = Object.fromEntries(Object.values(columnTypes).map(TypedArray => [TypedArray.name, TypedArray]));
+
+// 'SSEC' read as a little-endian u32
+const MAGIC = 0x43455353;
+const HEADER_SIZE = 28;
+const FLAG_GROWTH = 1;
+
+// TypedArrays hold values in the platform's byte order; columns are copied as they are only where that is little-endian
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+// DataView accessor suffix of a TypedArray, e.g. 'Float32' for Float32Array
+const viewType = TypedArray => TypedArray.name.replace('Array', '');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+class ByteWriter {
+  #bytes;
+  #view;
+  #offset;
+
+  constructor(initialSize = 1024) {
+    this.#bytes = new Uint8Array(initialSize);
+    this.#view = new DataView(this.#bytes.buffer);
+    this.#offset = 0;
+  }
+
+  #reserve(byteLength) {
+    const required = this.#offset + byteLength;
+    if (required <= this.#bytes.length) return;
+    const bytes = new Uint8Array(Math.max(required, this.#bytes.length * 2));
+    bytes.set(this.#bytes);
+    this.#bytes = bytes;
+    this.#view = new DataView(bytes.buffer);
+  }
+
+  u16(value) {
+    this.#reserve(2);
+    this.#view.setUint16(this.#offset, value, true);
+    this.#offset += 2;
+  }
+
+  u32(value) {
+    this.#reserve(4);
+    this.#view.setUint32(this.#offset, value, true);
+    this.#offset += 4;
+  }
+
+  u32s(values) {
+    this.#reserve(values.length * 4);
+    for (const value of values) {
+      this.#view.setUint32(this.#offset, value, true);
+      this.#offset += 4;
+    }
+  }
+
+  // length-prefixed UTF-8, padded to 4 bytes
+  string(value) {
+    const bytes = encoder.encode(value);
+    this.u32(bytes.length);
+    const padded = Math.ceil(bytes.length / 4) * 4;
+    this.#reserve(padded);
+    this.#bytes.set(bytes, this.#offset);
+    this.#offset += padded;
+  }
+
+  // length-prefixed little-endian values of a TypedArray, padded to 4 bytes
+  array(values) {
+    this.u32(values.byteLength);
+    const padded = Math.ceil(values.byteLength / 4) * 4;
+    this.#reserve(padded);
+    if (LITTLE_ENDIAN) {
+      this.#bytes.set(new Uint8Array(values.buffer, values.byteOffset, values.byteLength), this.#offset);
+    } else {
+      const set = `set${viewType(values.constructor)}`;
+      for (let i = 0; i < values.length; i++) {
+        this.#view[set](this.#offset + i * values.BYTES_PER_ELEMENT, values[i], true);
+      }
+    }
+    this.#offset += padded;
+  }
+
+  toBytes() {
+    return this.#bytes.slice(0, this.#offset);
+  }
+}
+
+class ByteReader {
+  #bytes;
+  #view;
+  #offset;
+
+  constructor(bytes) {
+    this.#bytes = bytes;
+    this.#view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.#offset = 0;
+  }
+
+  u16() {
+    const value = this.#view.getUint16(this.#offset, true);
+    this.#offset += 2;
+    return value;
+  }
+
+  u32() {
+    const value = this.#view.getUint32(this.#offset, true);
+    this.#offset += 4;
+    return value;
+  }
+
+  u32s(count) {
+    const values = new Array(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = this.#view.getUint32(this.#offset, true);
+      this.#offset += 4;
+    }
+    return values;
+  }
+
+  string() {
+    const byteLength = this.u32();
+    const value = decoder.decode(this.#bytes.subarray(this.#offset, this.#offset + byteLength));
+    this.#offset += Math.ceil(byteLength / 4) * 4;
+    return value;
+  }
+
+  // copied out, so that the TypedArray is aligned whatever its offset in the snapshot
+  array(TypedArray) {
+    const byteLength = this.u32();
+    let values;
+    if (LITTLE_ENDIAN) {
+      values = new TypedArray(this.#bytes.slice(this.#offset, this.#offset + byteLength).buffer);
+    } else {
+      values = new TypedArray(byteLength / TypedArray.BYTES_PER_ELEMENT);
+      const get = `get${viewType(TypedArray)}`;
+      for (let i = 0; i < values.length; i++) {
+        values[i] = this.#view[get](this.#offset + i * TypedArray.BYTES_PER_ELEMENT, true);
+      }
+    }
+    this.#offset += Math.ceil(byteLength / 4) * 4;
+    return values;
+  }
+}
+
+/**
+ * @returns a boolean indicating whether the bytes start with a binary snapshot header.
+ * @param {Uint8Array} bytes
+ */
+export function isSnapshot(bytes) {
+  return bytes.byteLength >= HEADER_SIZE
+    && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === MAGIC;
+}
+
+/**
+ * Encodes a World's state as a binary snapshot.
+ * @param {object} state World.state, with column pools optionally given as `{ entities, columns }`.
+ * @returns {Uint8Array}
+ */
+export function encodeSnapshot(state) {
+  const writer = new ByteWriter();
+  writer.u32(MAGIC);
+  writer.u16(SNAPSHOT_VERSION);
+  writer.u16(state.growth ? FLAG_GROWTH : 0);
+  writer.u32(state.capacity);
+  writer.u32(state.nextId);
+  writer.u32(state.entities.length);
+  writer.u32(state.recycledEntities.length);
+  writer.u32(state.pools.length);
+
+  writer.u32s(state.entities);
+  writer.u32s(state.recycledEntities);
+
+  for (const [typeName] of state.pools) {
+    writer.string(typeName);
+  }
+
+  for (const [, poolData] of state.pools) {
+    if (Array.isArray(poolData)) {
+      writer.u32(poolData.length);
+      writer.u32s(poolData.map(([entity]) => entity));
+      writer.u32(0);
+      writer.string(JSON.stringify(poolData.map(([, component]) => component)));
+      continue;
+    }
+    const { entities, columns } = poolData;
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+      throw new TypeError('A pool written as columns needs at least one column.');
+    }
+    writer.u32(entities.length);
+    writer.u32s(entities);
+    writer.u32(names.length);
+    for (const name of names) {
+      const column = columns[name];
+      if (columnArrays[column.constructor.name] !== column.constructor) {
+        throw new TypeError(`Column "${name}" is not one of the column TypedArray types.`);
+      }
+      writer.string(name);
+      writer.string(column.constructor.name);
+      writer.array(column.subarray(0, entities.length));
+    }
+  }
+
+  writer.string(JSON.stringify(state.resources ?? []));
+  writer.string(JSON.stringify(state.relations ?? []));
+  writer.string(JSON.stringify(state.tags ?? []));
+
+  return writer.toBytes();
+}
+
+/**
+ * Decodes a binary snapshot back into the shape of World.state.
+ * @param {Uint8Array} bytes
+ * @returns {object}
+ */
+export function decodeSnapshot(bytes) {
+  if (!isSnapshot(bytes)) {
+    throw new TypeError('Data is not a World snapshot.');
+  }
+  const reader = new ByteReader(bytes);
+  reader.u32();
+  const version = reader.u16();
+  if (version !== SNAPSHOT_VERSION) {
+    throw new RangeError(`Snapshot version ${version} is not supported, only version ${SNAPSHOT_VERSION}.`);
+  }
+  const flags = reader.u16();
+  const capacity = reader.u32();
+  const nextId = reader.u32();
+  const entityCount = reader.u32();
+  const recycledCount = reader.u32();
+  const typeCount = reader.u32();
+
+  const entities = reader.u32s(entityCount);
+  const recycledEntities = reader.u32s(recycledCount);
+
+  const typeNames = [];
+  for (let i = 0; i < typeCount; i++) {
+    typeNames.push(reader.string());
+  }
+
+  const pools = typeNames.map(typeName => {
+    const count = reader.u32();
+    const poolEntities = reader.u32s(count);
+    const columnCount = reader.u32();
+    if (columnCount === 0) {
+      const components = JSON.parse(reader.string());
+      return [typeName, poolEntities.map((entity, i) => [entity, components[i]])];
+    }
+    const columns = [];
+    for (let c = 0; c < columnCount; c++) {
+      const name = reader.string();
+      const TypedArray = columnArrays[reader.string()];
+      if (!TypedArray) {
+        throw new TypeError(`Column "${name}" of "${typeName}" has an unknown type.`);
+      }
+      columns.push([name, reader.array(TypedArray)]);
+    }
+    return [typeName, poolEntities.map((entity, i) => {
+      const component = { type: typeName };
+      for (const [name, column] of columns) component[name] = column[i];
+      return [entity, component];
+    })];
+  });
+
+  const resources = JSON.parse(reader.string());
+  const relations = JSON.parse(reader.string());
+  const tags = JSON.parse(reader.string());
+
+  return {
+    nextId,
+    entities,
+    recycledEntities,
+    pools,
+    resources,
+    relations,
+    tags,
+    capacity,
+    maxEntity: capacity - 1,
+    growth: (flags & FLAG_GROWTH) !== 0,
+  };
+}
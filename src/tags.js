@@ -0,0 +1,23 @@
+/**
+ * A tag to add to an entity, such as `entity.with(Tag('Enemy'))`. Tags mark entities without storing any data:
+ * their pools are sparse sets with no component column.
+ */
+export class TagComponent {
+  /**
+   * @param {string} type Tag type name.
+   */
+  constructor(type) {
+    if (typeof type !== 'string' || type === '') {
+      throw new TypeError('Tag type must be a non-empty string.');
+    }
+    this.type = type;
+    Object.freeze(this);
+  }
+}
+
+/**
+ * @example world.spawn().with(new Position(), Tag('Enemy'))
+ */
+export function Tag(type) {
+  return new TagComponent(type);
+}
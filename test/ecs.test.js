@@ -0,0 +1,1393 @@
+import { jest } from '@jest/globals';
+import World from '../src/ecs.js';
+import Pool, { double } from '../src/pool.js';
+import { makeHandle, indexOf, generationOf } from '../src/handle.js';
+import { Not, Added, Changed, Removed, Pair, Wildcard } from '../src/filters.js';
+import { FrameSignal, WorldView } from '../src/shared.js';
+import { every, changed, resourceChanged } from '../src/conditions.js';
+import { Tag } from '../src/tags.js';
+import { PARENT } from '../src/hierarchy.js';
+import { decodeSnapshot } from '../src/snapshot.js';
+import Loop from '../src/loop.js';
+import { Worker } from 'node:worker_threads';
+
+class Position {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+class Velocity {
+  constructor(dX = 0, dY = 0) {
+    this.dX = dX;
+    this.dY = dY;
+  }
+}
+
+describe('entity handles', () => {
+  test('recycled indices get a new generation', () => {
+    const world = new World(10);
+    const first = world.spawn();
+    world.destroy(first.id);
+    const second = world.spawn();
+
+    expect(second.index).toBe(first.index);
+    expect(second.generation).toBe(first.generation + 1);
+    expect(second.id).not.toBe(first.id);
+  });
+
+  test('stale handles are rejected', () => {
+    const world = new World(10);
+    const ghost = world.spawn().with(new Position(1, 2));
+    world.destroy(ghost.id);
+    const current = world.spawn().with(new Position(3, 4));
+
+    expect(world.isAlive(ghost.id)).toBe(false);
+    expect(world.isAlive(current.id)).toBe(true);
+    expect(ghost.alive).toBe(false);
+    expect(ghost.get(Position)).toBeUndefined();
+    expect(ghost.has(Position)).toBe(false);
+    expect(ghost.add(new Velocity())).toBe(false);
+    expect(ghost.remove(Position)).toBe(false);
+    expect(current.get(Position).x).toBe(3);
+  });
+
+  test('pools keep generations apart', () => {
+    const pool = new Pool(10, 10);
+    const old = makeHandle(3, 0);
+    const current = makeHandle(3, 1);
+
+    expect(pool.add(current, 'a')).toBe(true);
+    expect(pool.has(old)).toBe(false);
+    expect(pool.get(old)).toBeUndefined();
+    expect(pool.add(old, 'b')).toBe(false);
+    expect(pool.delete(old)).toBe(false);
+    expect(pool.get(current)).toBe('a');
+    expect([...pool.keys()]).toEqual([current]);
+    expect(indexOf(current)).toBe(3);
+    expect(generationOf(current)).toBe(1);
+  });
+});
+
+describe('queries', () => {
+  test('query results follow structural changes', () => {
+    const world = new World(10);
+    const frozen = { type: 'Frozen' };
+    const moving = world.query({ all: [Position, Velocity], none: [frozen] });
+
+    const a = world.spawn().with(new Position(), new Velocity());
+    const b = world.spawn().with(new Position());
+    const c = world.spawn().with(new Position(), new Velocity(), frozen);
+
+    expect(moving.size).toBe(1);
+    expect(moving.has(a.id)).toBe(true);
+
+    b.add(new Velocity());
+    c.remove(frozen);
+    expect([...moving].sort()).toEqual([a.id, b.id, c.id].sort());
+
+    a.remove(Velocity);
+    world.destroy(b.id);
+    expect([...moving]).toEqual([c.id]);
+  });
+
+  test('queries are cached and populated from existing entities', () => {
+    const world = new World(10);
+    const a = world.spawn().with(new Position(1, 1), { type: 'Sprite' });
+    world.spawn().with(new Velocity());
+
+    const query = world.query({ all: ['Position'], any: ['Sprite', 'Mesh'] });
+    expect(world.query({ any: ['Mesh', 'Sprite'], all: [Position] })).toBe(query);
+    expect(query.toArray()).toEqual([a.id]);
+
+    const seen = [];
+    query.forEach((entity, position, sprite, mesh) => seen.push([entity, position.x, sprite.type, mesh]));
+    expect(seen).toEqual([[a.id, 1, 'Sprite', undefined]]);
+
+    // the Mesh pool is only created now, after forEach first resolved the pools
+    a.add({ type: 'Mesh' });
+    seen.length = 0;
+    query.forEach((entity, position, sprite, mesh) => seen.push([entity, mesh.type]));
+    expect(seen).toEqual([[a.id, 'Mesh']]);
+  });
+
+  test('queries of only excluded types match bare entities', () => {
+    const world = new World(10);
+    const query = world.query({ none: [Position] });
+    const a = world.spawn();
+    const b = world.spawn().with(new Position());
+    expect(query.has(a.id)).toBe(true);
+    expect(query.has(b.id)).toBe(false);
+  });
+});
+
+describe('all', () => {
+  test('excludes types wrapped in Not', () => {
+    const world = new World(10);
+    const a = world.spawn().with(new Position(), new Velocity());
+    world.spawn().with(new Position(), new Velocity(), { type: 'Frozen' });
+    const c = world.spawn().with(new Position());
+
+    expect(world.all(Position, Velocity, Not('Frozen'))).toEqual([a.id]);
+    expect(world.all(Position, Not(Velocity))).toEqual([c.id]);
+    expect(world.all(Position, Not('Unregistered'))).toHaveLength(3);
+    expect(world.all('Unregistered')).toEqual([]);
+  });
+
+  test('Not on its own matches every entity without the type', () => {
+    const world = new World(10);
+    const a = world.spawn();
+    world.spawn().with(new Position());
+    expect(world.all(Not(Position))).toEqual([a.id]);
+  });
+
+  test('queries accept Not in all', () => {
+    const world = new World(10);
+    expect(world.query({ all: [Position, Not('Frozen')] })).toBe(world.query({ all: [Position], none: ['Frozen'] }));
+  });
+});
+
+describe('change detection', () => {
+  test('tracks added, changed and removed components until update', () => {
+    const world = new World(10);
+    const a = world.spawn().with(new Position());
+    const b = world.spawn().with(new Position());
+    world.update();
+
+    const c = world.spawn().with(new Position());
+    b.markChanged(Position);
+    a.add(new Position(5, 5));
+    world.destroy(c.id);
+    const d = world.spawn().with(new Position());
+
+    expect(world.all(Added(Position))).toEqual([d.id]);
+    expect(world.all(Changed(Position)).sort()).toEqual([a.id, b.id].sort());
+    expect(world.all(Removed(Position))).toEqual([c.id]);
+
+    world.update();
+    expect(world.all(Added(Position))).toEqual([]);
+    expect(world.all(Changed(Position))).toEqual([]);
+    expect(world.all(Removed(Position))).toEqual([]);
+  });
+
+  test('change-tracking queries keep destroyed entities whose index is reused', () => {
+    const world = new World(10);
+    const removed = world.query({ all: [Removed(Velocity)] });
+    const a = world.spawn().with(new Velocity());
+    world.update();
+
+    world.destroy(a.id);
+    const b = world.spawn().with(new Velocity());
+    expect(b.index).toBe(a.index);
+    b.remove(Velocity);
+    expect(world.all(Removed(Velocity))).toEqual([a.id, b.id]);
+    expect(removed.has(a.id) && removed.has(b.id)).toBe(true);
+    expect(removed.toArray()).toEqual([a.id, b.id]);
+  });
+
+  test('change filters work in queries', () => {
+    const world = new World(10);
+    const changed = world.query({ all: [Changed(Position), Velocity] });
+    const removed = world.query({ all: [Removed(Position)] });
+    const a = world.spawn().with(new Position(), new Velocity());
+    world.spawn().with(new Position());
+    world.update();
+
+    a.markChanged(Position);
+    expect([...changed]).toEqual([a.id]);
+    a.remove(Position);
+    expect(changed.size).toBe(0);
+    expect([...removed]).toEqual([a.id]);
+
+    world.update();
+    expect(removed.size).toBe(0);
+  });
+
+  test('markChanged rejects missing components', () => {
+    const world = new World(10);
+    const a = world.spawn();
+    expect(a.markChanged(Position)).toBe(false);
+  });
+});
+
+describe('hooks', () => {
+  test('fire on add, set and remove', () => {
+    const world = new World(10);
+    const calls = [];
+    world.onAdd(Position, (entity, position) => calls.push(['add', entity, position.x]));
+    world.onSet(Position, (entity, position) => calls.push(['set', entity, position.x]));
+    world.onRemove(Position, (entity, position) => calls.push(['remove', entity, position.x]));
+
+    const a = world.spawn().with(new Position(1, 0));
+    a.add(new Position(2, 0));
+    a.remove(Position);
+
+    expect(calls).toEqual([
+      ['add', a.id, 1],
+      ['set', a.id, 1],
+      ['set', a.id, 2],
+      ['remove', a.id, 2],
+    ]);
+  });
+
+  test('destroy fires onDestroy then onRemove for every component', () => {
+    const world = new World(10);
+    const calls = [];
+    world.onDestroy(entity => calls.push(['destroy', entity, world.hasComponent(entity, Position)]));
+    world.onRemove(Position, entity => calls.push(['remove Position', entity]));
+    world.onRemove(Velocity, entity => calls.push(['remove Velocity', entity]));
+
+    const a = world.spawn().with(new Position(), new Velocity());
+    world.destroy(a.id);
+
+    expect(calls).toEqual([
+      ['destroy', a.id, true],
+      ['remove Position', a.id],
+      ['remove Velocity', a.id],
+    ]);
+  });
+
+  test('unsubscribe handles stop callbacks', () => {
+    const world = new World(10);
+    const callback = jest.fn();
+    const unsubscribe = world.onAdd('Sprite', callback);
+    world.spawn().with({ type: 'Sprite' });
+    expect(unsubscribe()).toBe(true);
+    world.spawn().with({ type: 'Sprite' });
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('commands', () => {
+  test('defer structural changes until flushed', () => {
+    const world = new World(10);
+    const commands = world.commands();
+    const entities = [];
+    for (let i = 0; i < 4; i++) entities.push(world.spawn().with(new Position(i, 0)).id);
+
+    world.query({ all: [Position] }).forEach((entity, position) => {
+      if (position.x % 2 === 0) commands.destroy(entity);
+    });
+    expect(world.all(Position)).toHaveLength(4);
+
+    expect(world.flush()).toBe(2);
+    expect(world.all(Position).sort()).toEqual([entities[1], entities[3]]);
+  });
+
+  test('spawned entities are reserved immediately', () => {
+    const world = new World(10);
+    const commands = world.commands();
+    const entity = commands.spawn(new Position(1, 1));
+    commands.add(entity, new Velocity(2, 2));
+
+    expect(world.isAlive(entity)).toBe(false);
+    expect(world.spawn().id).not.toBe(entity);
+
+    world.flush();
+    expect(world.isAlive(entity)).toBe(true);
+    expect(world.getComponent(entity, Velocity).dX).toBe(2);
+  });
+
+  test('update flushes at the end of the frame or between systems', () => {
+    const frame = new World(10);
+    const seen = [];
+    frame.registerSystem(function first() { frame.commands().spawn(new Position()); }, 1);
+    frame.registerSystem(function second() { seen.push(frame.all(Position).length); }, 0);
+    frame.update();
+    expect(seen).toEqual([0]);
+    expect(frame.all(Position)).toHaveLength(1);
+
+    const system = new World(10, { flush: 'system' });
+    system.registerSystem(function first() { system.commands().spawn(new Position()); }, 1);
+    system.registerSystem(function second() { seen.push(system.all(Position).length); }, 0);
+    system.update();
+    expect(seen).toEqual([0, 1]);
+
+    const manual = new World(10, { flush: 'manual' });
+    manual.commands().spawn(new Position());
+    manual.update();
+    expect(manual.commands().size).toBe(2);
+  });
+
+  test('drop commands that were applied before one threw', () => {
+    const world = new World(10);
+    const entity = world.spawn();
+    const set = jest.fn();
+    world.onSet(Position, set);
+    world.commands().add(entity.id, new Position()).add(entity.id, {}).add(entity.id, new Velocity());
+
+    expect(() => world.update()).toThrow('missing a "type" property');
+    expect(set).toHaveBeenCalledTimes(1);
+    expect(world.commands().size).toBe(1);
+    world.update();
+    expect(set).toHaveBeenCalledTimes(1);
+    expect(entity.has(Velocity)).toBe(true);
+    expect(world.commands().size).toBe(0);
+  });
+
+  test('unflushed spawns are saved as free handles', async () => {
+    const world = new World(10);
+    const first = world.commands().spawn(new Position());
+    const second = world.commands().spawn();
+    const copy = await World.deserialize(world.serialize());
+    expect(copy.state.recycledEntities).toEqual([second, first]);
+    expect(copy.spawn().id).toBe(first);
+    expect(copy.spawn().id).toBe(second);
+    expect(copy.all(Position)).toEqual([]);
+  });
+});
+
+describe('growth', () => {
+  test('growable pools reallocate and widen their index type', () => {
+    const pool = new Pool(2, 3, Uint8Array, double);
+    for (let entity = 0; entity < 300; entity++) {
+      expect(pool.add(entity, entity * 2)).toBe(true);
+    }
+    expect(pool.size).toBe(300);
+    expect(pool.capacity).toBeGreaterThanOrEqual(300);
+    expect(pool.maximumEntity).toBeGreaterThanOrEqual(299);
+    expect(pool.indexType).toBe(Uint16Array);
+    expect(pool.get(299)).toBe(598);
+
+    pool.delete(0);
+    expect(pool.get(299)).toBe(598);
+    expect(pool.has(0)).toBe(false);
+  });
+
+  test('fixed pools still reject entities when full', () => {
+    const pool = new Pool(1, 3, Uint8Array);
+    expect(pool.add(0, 'a')).toBe(true);
+    expect(pool.add(1, 'b')).toBe(false);
+    expect(() => pool.add(4, 'c')).toThrow(TypeError);
+  });
+
+  test('pools reject entities beyond the handle index range', () => {
+    expect(() => new Pool(10, 2_000_000, Uint32Array)).toThrow(RangeError);
+    expect(new Pool(10, 2 ** 20 - 1, Uint32Array).maximumEntity).toBe(2 ** 20 - 1);
+  });
+
+  test('growable worlds spawn past their capacity', () => {
+    const fixed = new World(2);
+    fixed.spawn();
+    fixed.spawn();
+    expect(() => fixed.spawn()).toThrow('World is full of entities.');
+
+    const world = new World(2, { growth: true });
+    const entities = [];
+    for (let i = 0; i < 1000; i++) {
+      entities.push(world.spawn().with(new Position(i, 0)).id);
+    }
+    expect(world.all(Position)).toHaveLength(1000);
+    expect(world.getComponent(entities[999], Position).x).toBe(999);
+  });
+});
+
+describe('pool sizing', () => {
+  test('large worlds pick a wide enough index type', () => {
+    const world = new World(100000);
+    const entity = world.spawn().with(new Position(1, 2));
+    expect(entity.get(Position).y).toBe(2);
+  });
+
+  test('registerComponent accepts capacity and index type overrides', () => {
+    const world = new World(100);
+    expect(world.registerComponent('Boss', { capacity: 1, indexType: Uint8Array })).toBe(true);
+    expect(world.registerComponent('Boss')).toBe(false);
+    expect(world.spawn().add({ type: 'Boss' })).toBe(true);
+    expect(world.spawn().add({ type: 'Boss' })).toBe(false);
+    expect(() => new World(1000).registerComponent('Tiny', { indexType: Uint8Array })).toThrow(RangeError);
+  });
+});
+
+describe('serialization', () => {
+  const build = () => {
+    const world = new World(300);
+    const entities = [];
+    for (let i = 0; i < 5; i++) {
+      entities.push(world.spawn().with(new Position(i, i * 2), { type: 'Name', value: `ünit ${i}` }).id);
+    }
+    world.getComponent(entities[0], Position).z = 1;
+    world.destroy(entities[1]);
+    world.spawn().with(new Velocity(1, 1));
+    world.destroy(entities[3]);
+    return world;
+  };
+
+  test.each(['binary', 'json'])('round-trips through the %s format', async (format) => {
+    const world = build();
+    const copy = await World.deserialize(world.serialize({ format }));
+    expect(copy.state).toEqual(world.state);
+    expect(copy.spawn().id).toBe(world.spawn().id);
+    expect(copy.all(Added(Position))).toEqual([]);
+  });
+
+  test('accepts bytes, JSON strings and state objects', async () => {
+    const world = build();
+    const bytes = new Uint8Array(await world.serialize().arrayBuffer());
+    expect((await World.deserialize(bytes)).state).toEqual(world.state);
+    expect((await World.deserialize(JSON.stringify(world.state))).state).toEqual(world.state);
+    expect((await World.deserialize(world.state)).state).toEqual(world.state);
+  });
+
+  test('writes column pools as raw columns', async () => {
+    const world = new World(10);
+    world.registerComponent('Heat', { schema: { value: 'f64', level: 'u8' } });
+    world.spawn().with({ type: 'Heat', value: 0.1, level: 3 });
+    world.spawn().with({ type: 'Heat', value: -2.5, level: 255 });
+
+    const bytes = new Uint8Array(await world.serialize().arrayBuffer());
+    expect(new TextDecoder().decode(bytes)).not.toContain('"value"');
+    const value = new Uint8Array(8);
+    new DataView(value.buffer).setFloat64(0, -2.5, true);
+    expect(Buffer.from(bytes).includes(Buffer.from(value))).toBe(true);
+    expect(decodeSnapshot(bytes).pools).toEqual(world.state.pools);
+    const copy = await World.deserialize(bytes, { components: [['Heat', { schema: { value: 'f64', level: 'u8' } }]] });
+    expect(copy.state).toEqual(world.state);
+  });
+
+  test('rejects snapshots of other versions', async () => {
+    const bytes = new Uint8Array(await build().serialize().arrayBuffer());
+    expect(bytes[4]).toBe(1);
+    bytes[4] = 2;
+    await expect(World.deserialize(bytes)).rejects.toThrow(RangeError);
+  });
+});
+
+describe('component definitions', () => {
+  class Vec {
+    constructor(x = 0, y = 0) {
+      this.x = x;
+      this.y = y;
+    }
+    get length() {
+      return Math.hypot(this.x, this.y);
+    }
+  }
+
+  test('registered classes are kept and rebuilt as instances', async () => {
+    const world = new World(10);
+    world.registerComponent(Vec);
+    const a = world.spawn().with(new Vec(3, 4));
+    const b = world.spawn().with({ type: 'Vec', x: 6, y: 8 });
+
+    expect(a.get(Vec)).toBeInstanceOf(Vec);
+    expect(b.get(Vec).length).toBe(10);
+    expect(world.state.pools[0][1][0][1]).toEqual({ type: 'Vec', x: 3, y: 4 });
+
+    const copy = await World.deserialize(world.serialize(), { components: [Vec] });
+    expect(copy.getComponent(a.id, Vec)).toBeInstanceOf(Vec);
+    expect(copy.getComponent(a.id, Vec).length).toBe(5);
+  });
+
+  test('schemas validate fields and fill defaults', () => {
+    const world = new World(10);
+    world.registerComponent('Health', {
+      schema: { value: { type: 'number', default: 100 }, max: 'number', effects: { type: 'array', default: [] } },
+    });
+
+    const a = world.spawn().with({ type: 'Health', max: 150 });
+    const b = world.spawn().with({ type: 'Health', max: 150 });
+    expect(a.get('Health')).toEqual({ type: 'Health', value: 100, max: 150, effects: [] });
+    expect(a.get('Health').effects).not.toBe(b.get('Health').effects);
+
+    const data = { type: 'Health', max: 80 };
+    a.add(data);
+    expect(data).toEqual({ type: 'Health', max: 80 });
+    expect(a.get('Health').value).toBe(100);
+
+    expect(() => a.add({ type: 'Health' })).toThrow('missing required field "max"');
+    expect(() => a.add({ type: 'Health', max: '150' })).toThrow('must be of type number');
+    expect(() => world.registerComponent('Bad', { schema: { x: 'float' } })).toThrow(TypeError);
+  });
+
+  test('integer columns reject values they cannot hold', () => {
+    const world = new World(10);
+    world.registerComponent('Cell', { schema: { level: 'u8', offset: 'i32', weight: 'f32' } });
+    const entity = world.spawn();
+    expect(() => entity.add({ type: 'Cell', level: 300, offset: 0, weight: 0 })).toThrow('an integer from 0 to 255');
+    expect(() => entity.add({ type: 'Cell', level: -1, offset: 0, weight: 0 })).toThrow(TypeError);
+    expect(() => entity.add({ type: 'Cell', level: 1, offset: 1.5, weight: 0 })).toThrow('must be of type i32');
+    expect(entity.add({ type: 'Cell', level: 255, offset: -(2 ** 31), weight: 1.5 })).toBe(true);
+    expect(entity.get('Cell').level).toBe(255);
+  });
+
+  test('fromJSON and toJSON control the serialized form', async () => {
+    const options = {
+      toJSON: vec => ({ type: 'Vec', xy: [vec.x, vec.y] }),
+      fromJSON: data => new Vec(...data.xy),
+    };
+    const world = new World(10);
+    world.registerComponent(Vec, options);
+    const a = world.spawn().with(new Vec(1, 2));
+
+    expect(world.state.pools[0][1][0][1]).toEqual({ type: 'Vec', xy: [1, 2] });
+    const copy = await World.deserialize(world.serialize({ format: 'json' }), { components: [[Vec, options]] });
+    expect(copy.getComponent(a.id, Vec)).toEqual(new Vec(1, 2));
+  });
+});
+
+describe('column storage', () => {
+  test('pools keep columns in sync with swap-remove', () => {
+    const pool = new Pool(4, 10, Uint8Array, null, { x: Float32Array, hp: Int32Array });
+    pool.add(1, { x: 1.5, hp: 10 });
+    pool.add(2, { x: 2.5, hp: 20 });
+    pool.add(3, { x: 3.5, hp: 30 });
+    pool.delete(1);
+
+    expect(Array.from(pool.column('hp').subarray(0, pool.size))).toEqual([30, 20]);
+    expect(pool.get(3).x).toBe(3.5);
+    pool.get(2).hp += 5;
+    expect(pool.column('hp')[pool.denseIndex(2)]).toBe(25);
+    expect(pool.get(1)).toBeUndefined();
+  });
+
+  test('numeric schemas are stored in columns', async () => {
+    const world = new World(10, { growth: true });
+    world.registerComponent(Position, { schema: { x: 'f32', y: { type: 'f32', default: 0 } } });
+    world.registerComponent('Velocity', { schema: { dX: 'f32', dY: 'f32' } });
+
+    const entities = [];
+    for (let i = 0; i < 40; i++) {
+      entities.push(world.spawn().with(new Position(i), { type: 'Velocity', dX: 1, dY: 2 }).id);
+    }
+
+    const positions = world.getPool(Position);
+    const velocities = world.getPool('Velocity');
+    for (const entity of world.query({ all: [Position, 'Velocity'] })) {
+      const i = positions.denseIndex(entity);
+      const j = velocities.denseIndex(entity);
+      positions.column('x')[i] += velocities.column('dX')[j];
+      positions.column('y')[i] += velocities.column('dY')[j];
+    }
+
+    const position = world.getComponent(entities[39], Position);
+    expect(position).toBeInstanceOf(Position);
+    expect([position.x, position.y]).toEqual([40, 2]);
+    expect(world.getComponent(entities[0], 'Velocity').type).toBe('Velocity');
+
+    const copy = await World.deserialize(world.serialize(), {
+      components: [[Position, { schema: { x: 'f32', y: 'f32' } }]],
+    });
+    expect(copy.getPool(Position).columnNames).toEqual(['x', 'y']);
+    expect(copy.getComponent(entities[39], Position).y).toBe(2);
+    expect(copy.state).toEqual(world.state);
+  });
+});
+
+describe('shared memory', () => {
+  const schema = { x: 'f32', y: 'f32' };
+
+  test('attached pools see the owner\'s entities and columns', () => {
+    const world = new World(16, { shared: true });
+    world.registerComponent('Position', { schema });
+    const a = world.spawn().with({ type: 'Position', x: 1, y: 2 });
+    world.spawn().with({ type: 'Tag' });
+
+    const view = new WorldView(structuredClone(world.share('Position')), { readOnly: false });
+    expect(view.getPool('Tag')).toBeUndefined();
+    const positions = view.getPool('Position');
+    expect([...positions.keys()]).toEqual([a.id]);
+
+    positions.get(a.id).x = 10;
+    expect(a.get('Position').x).toBe(10);
+
+    const b = world.spawn().with({ type: 'Position', x: 3, y: 4 });
+    expect(positions.size).toBe(1);
+    view.sync();
+    expect(positions.get(b.id).y).toBe(4);
+    expect(() => positions.add(b.id, { x: 0, y: 0 })).toThrow('thread that owns it');
+
+    const readOnly = new WorldView(world.share(), { readOnly: true });
+    expect(() => { readOnly.getPool('Position').get(a.id).x = 0; }).toThrow('read-only');
+  });
+
+  test('shared worlds cannot grow or share without the option', () => {
+    expect(() => new World(16, { shared: true, growth: true })).toThrow(TypeError);
+    expect(() => new World(16).share()).toThrow(TypeError);
+  });
+
+  test('frame handoff to a worker thread', async () => {
+    const world = new World(16, { shared: true });
+    world.registerComponent('Position', { schema });
+    world.registerComponent('Velocity', { schema: { dX: 'f32', dY: 'f32' } });
+    const a = world.spawn().with({ type: 'Position', x: 0, y: 0 }, { type: 'Velocity', dX: 1, dY: 2 });
+
+    const sharedUrl = new URL('../src/shared.js', import.meta.url).href;
+    const worker = new Worker(`
+      const { workerData } = require('node:worker_threads');
+      import(${JSON.stringify(sharedUrl)}).then(({ WorldView }) => {
+        const view = new WorldView(workerData, { readOnly: false });
+        for (let frame = 0; frame < 2; frame++) {
+          if (view.waitForFrame(5000) === null) return;
+          const positions = view.getPool('Position');
+          const velocities = view.getPool('Velocity');
+          for (const entity of view.all('Position', 'Velocity')) {
+            const position = positions.get(entity);
+            const velocity = velocities.get(entity);
+            position.x += velocity.dX;
+            position.y += velocity.dY;
+          }
+          view.release();
+        }
+      });
+    `, { eval: true, workerData: world.share() });
+
+    try {
+      for (let frame = 0; frame < 2; frame++) {
+        world.signal.handoff();
+        await world.signal.released();
+      }
+      expect([a.get('Position').x, a.get('Position').y]).toEqual([2, 4]);
+    } finally {
+      await worker.terminate();
+    }
+  });
+
+  test('signals count pending workers', () => {
+    const signal = new FrameSignal();
+    const worker = new FrameSignal(signal.buffer);
+    expect(signal.handoff(2)).toBe(1);
+    expect(worker.waitForFrame(0, 0)).toBe(1);
+    expect(worker.waitForFrame(1, 0)).toBeNull();
+    worker.release();
+    expect(signal.waitForRelease(0)).toBe(false);
+    worker.release();
+    expect(signal.waitForRelease(0)).toBe(true);
+  });
+});
+
+describe('scheduler', () => {
+  const record = (log, name) => ({ [name]() { log.push(name); } })[name];
+
+  test('orders stages, constraints, priority and name', () => {
+    const world = new World(10);
+    const log = [];
+    const render = record(log, 'render');
+    const input = record(log, 'input');
+    const move = record(log, 'move');
+    const collide = record(log, 'collide');
+    const zeta = record(log, 'zeta');
+    const alpha = record(log, 'alpha');
+
+    world.registerSystem(render, { stage: 'render' });
+    world.registerSystem(collide, { after: [move] });
+    world.registerSystem(move, { priority: -5 });
+    world.registerSystem(zeta);
+    world.registerSystem(alpha);
+    world.registerSystem(input, { stage: 'preUpdate' });
+    world.update();
+
+    expect(log).toEqual(['input', 'alpha', 'zeta', 'move', 'collide', 'render']);
+  });
+
+  test('priorities still order systems without options', () => {
+    const world = new World(10);
+    const log = [];
+    world.registerSystem(record(log, 'b'), 1);
+    world.registerSystem(record(log, 'a'), 1);
+    world.registerSystem(record(log, 'c'), 2);
+    world.update();
+    expect(log).toEqual(['c', 'a', 'b']);
+  });
+
+  test('rejects cycles and unknown stages', () => {
+    const world = new World(10);
+    const log = [];
+    const a = record(log, 'a');
+    const b = record(log, 'b');
+    world.registerSystem(a, { before: ['b'] });
+    expect(() => world.registerSystem(b, { before: [a] })).toThrow('[a, b] have cyclic');
+    expect(world.getSystem(b)).toBeUndefined();
+    expect(() => world.registerSystem(b, { stage: 'physics' })).toThrow('Stage "physics" does not exist.');
+
+    world.addStage('physics', { after: 'update' });
+    expect(world.stages).toEqual(['preUpdate', 'update', 'physics', 'postUpdate', 'render']);
+    expect(world.registerSystem(b, { stage: 'physics' })).toBe(true);
+  });
+
+  test('run conditions', () => {
+    const world = new World(10);
+    const log = [];
+    world.registerSystem(record(log, 'third'), { runIf: every(3) });
+    world.registerSystem(record(log, 'moved'), { runIf: changed(Position) });
+    const a = world.spawn().with(new Position());
+
+    for (let i = 0; i < 4; i++) {
+      if (i === 2) a.markChanged(Position);
+      world.update();
+    }
+    expect(log).toEqual(['moved', 'third', 'moved', 'third']);
+  });
+});
+
+describe('query systems', () => {
+  test('receive matching entities and a persistent context', () => {
+    const world = new World(10);
+    const a = world.spawn().with(new Position(), new Velocity(2, 0));
+    world.spawn().with(new Position());
+
+    const seen = [];
+    world.system({
+      name: 'movement',
+      query: { all: [Position, Velocity] },
+      state: () => ({ runs: 0 }),
+      run(entities, ctx) {
+        ctx.state.runs++;
+        entities.forEach((entity, position, velocity) => {
+          position.x += velocity.dX * ctx.dt;
+        });
+        seen.push([entities.size, ctx.state.runs, ctx.world === world, ctx.commands === world.commands()]);
+      },
+    });
+
+    world.update(0.5);
+    world.update(0.5);
+    expect(a.get(Position).x).toBe(2);
+    expect(seen).toEqual([[1, 1, true, true], [1, 2, true, true]]);
+    expect(world.getSystem('movement')).toBeDefined();
+  });
+
+  test('accept scheduling options and commands', () => {
+    const world = new World(10);
+    const log = [];
+    world.system({ name: 'late', stage: 'postUpdate', run: () => log.push('late') });
+    world.system({
+      name: 'reaper',
+      query: { all: ['Dead'] },
+      run(entities, { commands }) {
+        log.push('reaper');
+        for (const entity of entities) commands.destroy(entity);
+      },
+    });
+    world.spawn().with({ type: 'Dead' });
+    world.update();
+
+    expect(log).toEqual(['reaper', 'late']);
+    expect(world.all('Dead')).toEqual([]);
+    expect(world.system({ name: 'late', run() {} })).toBe(false);
+    expect(() => world.system({ run() {} })).toThrow(TypeError);
+  });
+});
+
+describe('loop', () => {
+  const setup = (options) => {
+    const world = new World(10);
+    const log = [];
+    world.registerSystem(function simulate(dt) { log.push(['simulate', dt]); });
+    world.registerSystem(function draw(elapsed, alpha) { log.push(['draw', alpha]); }, { stage: 'render' });
+    let now = 0;
+    const clock = () => now;
+    const loop = new Loop(world, { step: 0.1, clock, ...options });
+    return { world, log, loop, tick: ms => { now += ms; return loop.frame(); } };
+  };
+
+  test('runs fixed steps and renders with the leftover alpha', () => {
+    const { world, log, tick } = setup();
+    expect(tick(0)).toBe(0);
+    expect(tick(250)).toBe(2);
+    expect(log).toEqual([['draw', 0], ['simulate', 0.1], ['simulate', 0.1], ['draw', expect.closeTo(0.5)]]);
+    expect(world.tick).toBe(2);
+  });
+
+  test('keeps the events of every step of a frame for render systems', () => {
+    const { world, tick } = setup();
+    const rendered = [];
+    world.registerSystem(function send() { world.emit('Step', world.tick); });
+    world.system({ name: 'show', stage: 'render', run: (_, { events }) => rendered.push(events('Step').read()) });
+    tick(0);
+    tick(350);
+    tick(100);
+    expect(rendered).toEqual([[], [0, 1, 2], [3]]);
+  });
+
+  test('drops time beyond maxSteps', () => {
+    const { loop, tick } = setup({ maxSteps: 3 });
+    tick(0);
+    expect(tick(1050)).toBe(3);
+    expect(loop.dropped).toBeCloseTo(0.7);
+    expect(loop.alpha).toBeCloseTo(0.5);
+  });
+
+  test('pauses, resumes and steps once', () => {
+    const { log, loop, tick } = setup();
+    tick(0);
+    loop.pause();
+    expect(tick(500)).toBe(0);
+    loop.stepOnce();
+    expect(log.filter(([name]) => name === 'simulate')).toHaveLength(1);
+    loop.resume();
+    expect(tick(1000)).toBe(0);
+    expect(tick(100)).toBe(1);
+  });
+
+  test('clears changes after every fixed step', () => {
+    const world = new World(10);
+    const initialized = [];
+    const drawn = [];
+    world.registerSystem(function init() { initialized.push(...world.all(Added('Sprite'))); });
+    world.registerSystem(function draw() { drawn.push(world.all(Added('Sprite')).length); }, { stage: 'render' });
+    const loop = new Loop(world, { step: 0.25, clock: () => 0 });
+    const sprite = world.spawn().with({ type: 'Sprite' });
+    expect(loop.advance(0.75)).toBe(3);
+    expect(initialized).toEqual([sprite.id]);
+
+    // commands flushed at the end of the last step are seen by rendering and by the next step
+    world.registerSystem(function spawn() { if (world.tick === 3) world.commands().spawn({ type: 'Sprite' }); }, { priority: -1 });
+    loop.advance(0.25);
+    loop.advance(0.25);
+    expect(initialized).toHaveLength(2);
+    expect(drawn).toEqual([0, 1, 0]);
+  });
+});
+
+describe('resources', () => {
+  class Camera {
+    constructor(x = 0) {
+      this.x = x;
+    }
+    pan(dx) {
+      this.x += dx;
+    }
+  }
+
+  test('are stored by type and kept as they are', () => {
+    const world = new World(10);
+    const camera = new Camera(5);
+    world.setResource(Camera, camera).setResource('Time', { elapsed: 0 });
+
+    expect(world.getResource(Camera)).toBe(camera);
+    expect(world.hasResource({ type: 'Time' })).toBe(true);
+    expect(world.removeResource('Time')).toBe(true);
+    expect(world.removeResource('Time')).toBe(false);
+    expect(world.getResource('Time')).toBeUndefined();
+  });
+
+  test('round-trip through serialization', async () => {
+    const world = new World(10);
+    world.setResource('Seed', 42).setResource('Input', { keys: ['w'] });
+    world.registerComponent(Camera);
+    world.setResource(Camera, new Camera(3));
+
+    for (const format of ['binary', 'json']) {
+      const copy = await World.deserialize(world.serialize({ format }), { components: [Camera] });
+      expect(copy.getResource('Seed')).toBe(42);
+      expect(copy.getResource('Input')).toEqual({ keys: ['w'] });
+      expect(copy.getResource(Camera)).toBeInstanceOf(Camera);
+      expect(copy.wasResourceChanged('Seed')).toBe(false);
+    }
+  });
+
+  test('are available to systems and run conditions', () => {
+    const world = new World(10);
+    world.setResource(Camera, new Camera());
+    const log = [];
+    world.system({
+      name: 'follow',
+      runIf: resourceChanged(Camera),
+      run(entities, { resource }) {
+        log.push(resource(Camera).x);
+      },
+    });
+
+    world.update();
+    world.update();
+    world.getResource(Camera).pan(2);
+    world.markResourceChanged(Camera);
+    world.update();
+    expect(log).toEqual([0, 2]);
+  });
+});
+
+describe('hierarchy', () => {
+  const tree = () => {
+    const world = new World(20);
+    const tank = world.spawn();
+    const [hull, gun, barrel] = [world.spawn(), world.spawn(), world.spawn()];
+    hull.setParent(tank);
+    gun.setParent(hull);
+    barrel.setParent(gun);
+    return { world, tank, hull, gun, barrel };
+  };
+
+  test('links children, ancestors and descendants', () => {
+    const { world, tank, hull, gun, barrel } = tree();
+    expect(gun.parent).toBe(hull.id);
+    expect([...tank.children()]).toEqual([hull.id]);
+    expect([...world.ancestors(barrel.id)]).toEqual([gun.id, hull.id, tank.id]);
+    expect([...world.descendants(tank.id)]).toEqual([hull.id, gun.id, barrel.id]);
+    expect(world.all(PARENT)).toHaveLength(3);
+
+    gun.setParent(tank);
+    expect([...world.descendants(tank.id)]).toEqual([hull.id, gun.id, barrel.id]);
+    expect([...hull.children()]).toEqual([]);
+    gun.setParent(null);
+    expect(gun.parent).toBeUndefined();
+    expect([...tank.children()]).toEqual([hull.id]);
+  });
+
+  test('rejects cycles', () => {
+    const { world, tank, gun, barrel } = tree();
+    expect(() => tank.setParent(barrel)).toThrow('cannot be the parent');
+    expect(() => tank.setParent(tank)).toThrow('cannot be the parent');
+    expect(() => tank.add({ type: PARENT, entity: tank.id })).toThrow('cannot be the parent');
+    expect(() => gun.add({ type: PARENT, entity: barrel.id })).toThrow('cannot be the parent');
+    expect(() => tank.add({ type: PARENT })).toThrow(TypeError);
+    expect(tank.parent).toBeUndefined();
+    expect(world.destroy(tank.id)).toBe(true);
+  });
+
+  test('does not clash with a Parent component class', () => {
+    class Parent {
+      constructor(name = '') {
+        this.name = name;
+      }
+    }
+    const { world, tank, hull } = tree();
+    hull.add(new Parent('mother'));
+    expect(hull.parent).toBe(tank.id);
+    expect([...tank.children()]).toEqual([hull.id]);
+    expect(world.all(Parent)).toEqual([hull.id]);
+  });
+
+  test('destroy cascades to descendants', () => {
+    const { world, tank, hull, gun, barrel } = tree();
+    const other = world.spawn();
+    world.destroy(hull.id);
+    expect([gun, barrel, hull].map(entity => entity.alive)).toEqual([false, false, false]);
+    expect(tank.alive && other.alive).toBe(true);
+    expect([...tank.children()]).toEqual([]);
+  });
+
+  test('survives serialization', async () => {
+    const { world, tank, hull, gun, barrel } = tree();
+    const copy = await World.deserialize(world.serialize());
+    expect([...copy.descendants(tank.id)]).toEqual([hull.id, gun.id, barrel.id]);
+    copy.destroy(tank.id);
+    expect(copy.isAlive(barrel.id)).toBe(false);
+  });
+});
+
+describe('relations', () => {
+  const battle = () => {
+    const world = new World(20);
+    const [turret, sentry, idle] = [world.spawn(), world.spawn(), world.spawn()];
+    const [enemy, boss] = [world.spawn(), world.spawn()];
+    turret.relate('Targets', enemy, { priority: 1 }).relate('Targets', boss, { priority: 2 });
+    sentry.relate('Targets', boss);
+    return { world, turret, sentry, idle, enemy, boss };
+  };
+
+  test('stores pairs with data', () => {
+    const { world, turret, sentry, idle, enemy, boss } = battle();
+    expect(turret.targets('Targets')).toEqual([enemy.id, boss.id]);
+    expect(world.getRelation(turret.id, 'Targets', boss.id)).toEqual({ priority: 2 });
+    expect(world.hasRelation(idle.id, 'Targets')).toBe(false);
+    expect(world.sources('Targets', boss.id)).toEqual([turret.id, sentry.id]);
+    expect(world.sources('Targets', Wildcard)).toEqual([turret.id, sentry.id]);
+
+    expect(turret.unrelate('Targets', enemy)).toBe(true);
+    expect(world.sources('Targets', enemy.id)).toEqual([]);
+    sentry.unrelate('Targets', boss);
+    expect(sentry.has('Targets')).toBe(false);
+  });
+
+  test('queries pairs', () => {
+    const { world, turret, sentry, idle, enemy, boss } = battle();
+    const hunting = world.query({ all: [Pair('Targets', enemy.id)] });
+    expect(world.all(Pair('Targets', Wildcard))).toEqual([turret.id, sentry.id]);
+    expect(world.all(Pair('Targets', boss))).toEqual([turret.id, sentry.id]);
+    expect(world.all(Pair('Targets', boss), Not(Pair('Targets', enemy)))).toEqual([sentry.id]);
+    expect(world.all(Not(Pair('Targets', Wildcard)))).toEqual([idle.id, enemy.id, boss.id]);
+    expect(hunting.toArray()).toEqual([turret.id]);
+
+    sentry.relate('Targets', enemy);
+    turret.unrelate('Targets', enemy);
+    expect(hunting.toArray()).toEqual([sentry.id]);
+  });
+
+  test('checks every required type when a pair narrows the candidates', () => {
+    const { world, turret, sentry, idle, enemy, boss } = battle();
+    for (let i = 0; i < 5; i++) world.spawn().relate('Targets', idle);
+    for (const entity of [sentry, idle, enemy]) entity.add(new Position());
+    expect(world.all(Position, Pair('Targets', boss))).toEqual([sentry.id]);
+    expect(world.all(Pair('Targets', boss), Position)).toEqual([sentry.id]);
+    expect(turret.has(Position)).toBe(false);
+  });
+
+  test('pairs of ordinary components match nothing', () => {
+    const world = new World(10);
+    const entity = world.spawn().with(new Position());
+    expect(world.all(Pair('Position', entity.id))).toEqual([]);
+    expect(world.query({ all: [Pair('Position', entity.id)] }).toArray()).toEqual([]);
+    expect(world.query({ all: [Position, Not(Pair('Position', entity.id))] }).toArray()).toEqual([entity.id]);
+  });
+
+  test('removes relations to destroyed targets', () => {
+    const { world, turret, sentry, enemy, boss } = battle();
+    world.destroy(boss.id);
+    expect(turret.targets('Targets')).toEqual([enemy.id]);
+    expect(sentry.has('Targets')).toBe(false);
+    expect(world.all(Pair('Targets', Wildcard))).toEqual([turret.id]);
+  });
+
+  test('survives serialization', async () => {
+    const { world, turret, sentry, boss } = battle();
+    const copy = await World.deserialize(world.serialize());
+    expect(copy.getRelation(turret.id, 'Targets', boss.id)).toEqual({ priority: 2 });
+    expect(copy.sources('Targets', boss.id)).toEqual([turret.id, sentry.id]);
+    copy.destroy(boss.id);
+    expect(copy.hasRelation(sentry.id, 'Targets')).toBe(false);
+  });
+});
+
+describe('prefabs', () => {
+  const world = () => new World(20)
+    .definePrefab('Monster', [new Position(), { type: 'Health', current: 10, max: 10, resist: ['poison'] }])
+    .definePrefab('Goblin', [{ type: 'Health', max: 30 }, { type: 'Loot', gold: 5 }], { extends: 'Monster' });
+
+  test('spawns deep copies with overrides', () => {
+    const w = world();
+    w.registerComponent(Position);
+    const goblin = w.spawnFrom('Goblin', { Position: { x: 4 }, Loot: null, Name: { value: 'Grip' } });
+    const other = w.spawnFrom('Goblin');
+
+    expect(goblin.get(Position)).toBeInstanceOf(Position);
+    expect(goblin.get(Position)).toEqual(new Position(4, 0));
+    expect(goblin.get('Health')).toEqual({ type: 'Health', current: 10, max: 30, resist: ['poison'] });
+    expect(goblin.has('Loot')).toBe(false);
+    expect(goblin.get('Name').value).toBe('Grip');
+
+    goblin.get('Health').resist.push('fire');
+    expect(other.get('Health').resist).toEqual(['poison']);
+    expect(w.spawnFrom('Monster').get('Health').max).toBe(10);
+  });
+
+  test('loads definitions from JSON', () => {
+    const w = new World(20);
+    const json = JSON.stringify({
+      Arrow: { extends: 'Projectile', components: [{ type: 'Damage', amount: 3 }] },
+      Projectile: { components: [{ type: 'Velocity', dX: 1, dY: 0 }] },
+    });
+    expect(w.loadPrefabs(json)).toEqual(['Arrow', 'Projectile']);
+    const arrow = w.spawnFrom('Arrow');
+    expect(arrow.get('Velocity')).toEqual({ type: 'Velocity', dX: 1, dY: 0 });
+    expect(arrow.get('Damage').amount).toBe(3);
+  });
+
+  test('rejects unknown and cyclic prefabs', () => {
+    const w = world();
+    expect(() => w.spawnFrom('Orc')).toThrow('Unknown prefab "Orc"');
+    w.definePrefab('Monster', [], { extends: 'Goblin' });
+    expect(() => w.spawnFrom('Goblin')).toThrow('inherits from itself');
+  });
+});
+
+describe('cloning and batches', () => {
+  test('clones every component', () => {
+    const world = new World(20);
+    world.registerComponent(Position);
+    const target = world.spawn();
+    const original = world.spawn().with(new Position(1, 2), { type: 'Inventory', items: ['sword'] });
+    original.relate('Targets', target);
+
+    const deep = world.clone(original.id);
+    const shallow = world.clone(original.id, { copy: 'shallow' });
+    expect(deep.get(Position)).toBeInstanceOf(Position);
+    expect(deep.get(Position)).toEqual(new Position(1, 2));
+    expect(deep.get(Position)).not.toBe(original.get(Position));
+    expect(deep.targets('Targets')).toEqual([target.id]);
+    expect(world.sources('Targets', target.id)).toEqual([original.id, deep.id, shallow.id]);
+
+    original.get('Inventory').items.push('shield');
+    expect(deep.get('Inventory').items).toEqual(['sword']);
+    expect(shallow.get('Inventory').items).toBe(original.get('Inventory').items);
+    expect(world.clone(original.id, { copy: ({ x }) => new Position(x, 0) }).get(Position)).toEqual(new Position(1, 0));
+    expect(world.clone(makeHandle(19, 1))).toBeUndefined();
+  });
+
+  test('spawns batches', () => {
+    const world = new World(8, { growth: true });
+    const moving = world.query({ all: [Position, Velocity] });
+    const added = jest.fn();
+    world.onAdd(Velocity, added);
+    world.destroy(world.spawn().id);
+
+    const entities = world.spawnBatch(100, new Position(1, 1), new Velocity(0, 1));
+    expect(entities).toHaveLength(100);
+    expect(new Set(entities).size).toBe(100);
+    expect(moving.size).toBe(100);
+    expect(added).toHaveBeenCalledTimes(100);
+    world.getComponent(entities[0], Position).x = 5;
+    expect(world.getComponent(entities[1], Position)).toEqual({ type: 'Position', x: 1, y: 1 });
+
+    expect(() => new World(4).spawnBatch(5, new Position())).toThrow('full');
+    for (const count of [2.5, -1, NaN, '3']) {
+      expect(() => world.spawnBatch(count, new Position())).toThrow(TypeError);
+    }
+    expect(world.spawnBatch(0, new Position())).toEqual([]);
+  });
+
+  test('spawns batches of children only under living parents', () => {
+    const world = new World(10);
+    const parent = world.spawn().id;
+    const children = world.spawnBatch(2, { type: PARENT, entity: parent });
+    expect([...world.children(parent)]).toEqual(children);
+
+    world.destroy(parent);
+    const size = world.state.entities.length;
+    expect(() => world.spawnBatch(1, { type: PARENT, entity: parent })).toThrow(TypeError);
+    expect(world.state.entities).toHaveLength(size);
+  });
+
+  test('pools add batches in one pass', () => {
+    const pool = new Pool(4, 10, Uint8Array, null, { x: Float32Array });
+    pool.add(1, { x: 1 });
+    pool.clearChanges();
+    expect(pool.addBatch([2, 1, 3, 4, 5], [{ x: 2 }, { x: 10 }, { x: 3 }, { x: 4 }, { x: 5 }])).toBe(4);
+    expect([...pool.keys()]).toEqual([1, 2, 3, 4]);
+    expect(pool.get(1).x).toBe(10);
+    expect(pool.get(4).x).toBe(4);
+    expect(pool.has(5)).toBe(false);
+    expect(pool.wasChanged(1)).toBe(true);
+    expect(pool.wasAdded(3)).toBe(true);
+  });
+});
+
+describe('tags', () => {
+  const tagged = () => {
+    const world = new World(20);
+    const player = world.spawn().with(new Position(), Tag('Player'));
+    const enemy = world.spawn().with(new Position(), Tag('Enemy'));
+    const dead = world.spawn().with(new Position(), Tag('Enemy'));
+    world.tag(dead.id, 'Dead');
+    return { world, player, enemy, dead };
+  };
+
+  test('stores no data', () => {
+    const { world, player, dead } = tagged();
+    expect(world.getPool('Player').columnNames).toEqual([]);
+    expect(player.has('Player')).toBe(true);
+    expect(player.get('Player').type).toBe('Player');
+    expect(() => world.registerComponent('Player', { schema: { x: 'f32' } })).toThrow('already registered as a tag');
+    expect(() => world.tag(player.id, Position)).toThrow('already registered as a data component');
+    expect(dead.untag('Dead')).toBe(true);
+    expect(dead.has('Dead')).toBe(false);
+  });
+
+  test('works in queries', () => {
+    const { world, player, enemy, dead } = tagged();
+    const alive = world.query({ all: [Position], none: ['Dead'] });
+    expect(world.all(Position, Tag('Enemy'), Not('Dead'))).toEqual([enemy.id]);
+    expect(world.any('Player', 'Dead')).toEqual([player.id, dead.id]);
+    expect(alive.toArray()).toEqual([player.id, enemy.id]);
+    enemy.tag('Dead');
+    expect(alive.toArray()).toEqual([player.id]);
+  });
+
+  test('survives serialization and prefabs', async () => {
+    const { world, enemy, dead } = tagged();
+    const copy = await World.deserialize(world.serialize());
+    expect(copy.all('Enemy')).toEqual([enemy.id, dead.id]);
+    expect(copy.getPool('Enemy').columnNames).toEqual([]);
+    expect(copy.state).toEqual(world.state);
+
+    world.definePrefab('Grunt', [new Position(), Tag('Enemy')]);
+    expect(world.spawnFrom('Grunt').has('Enemy')).toBe(true);
+    expect(world.getPool('Enemy').size).toBe(3);
+  });
+});
+
+describe('archetype index', () => {
+  const sorted = entities => [...entities].sort((a, b) => a - b);
+
+  test('answers queries like the pools alone', () => {
+    const sparse = new World(200);
+    const indexed = new World(200, { archetypeIndex: true });
+    const types = ['A', 'B', 'C', 'D', 'E', 'F'];
+    const queries = [
+      ['A'], ['A', 'B', 'C'], ['A', 'B', 'C', 'D', 'E'], ['B', Not('C')], [Not('A')], [Added('D'), 'E'], [Removed('F')],
+    ];
+    let seed = 7;
+    const random = n => (seed = (seed * 16807) % 2147483647) % n;
+
+    for (const world of [sparse, indexed]) {
+      seed = 7;
+      const moving = world.query({ all: ['A', 'B'], none: ['C'] });
+      const entities = Array.from({ length: 150 }, () => world.spawn().id);
+      for (let step = 0; step < 2000; step++) {
+        const i = random(entities.length);
+        const entity = entities[i];
+        const type = types[random(types.length)];
+        switch (random(8)) {
+          case 0: world.destroy(entity); entities[i] = world.spawn().id; break;
+          case 1: case 2: world.removeComponent(entity, type); break;
+          default: world.addComponent(entity, { type, step });
+        }
+        if (step === 1500) world.clearChanges();
+      }
+      expect(moving.size).toBe(world.all('A', 'B', Not('C')).length);
+    }
+
+    for (const terms of queries) {
+      expect(sorted(indexed.all(...terms))).toEqual(sorted(sparse.all(...terms)));
+    }
+    const query = { all: ['A', 'C'], any: ['D', 'E'], none: ['F'] };
+    expect(sorted(indexed.query(query))).toEqual(sorted(sparse.query(query)));
+  });
+
+  test('keeps the index through batches, clones and serialization', async () => {
+    const world = new World(50, { archetypeIndex: true });
+    const [first] = world.spawnBatch(10, new Position(), new Velocity());
+    world.clone(first).remove(Velocity);
+    world.destroy(first);
+    expect(world.all(Position, Velocity)).toHaveLength(9);
+    expect(world.all(Position, Not(Velocity))).toHaveLength(1);
+
+    const copy = await World.deserialize(world.serialize(), { archetypeIndex: true });
+    expect(sorted(copy.all(Position, Velocity))).toEqual(sorted(world.all(Position, Velocity)));
+    expect(() => new World(10, { archetypeIndex: 'archetype' })).toThrow(TypeError);
+  });
+});
+
+describe('groups', () => {
+  const aligned = (world, group) => {
+    const [positions, velocities] = [world.getPool(Position), world.getPool(Velocity)];
+    for (let i = 0; i < group.size; i++) {
+      if (positions.entityAt(i) !== velocities.entityAt(i)) return false;
+    }
+    return group.size === world.all(Position, Velocity).length;
+  };
+
+  test('keeps owned pools packed as components come and go', () => {
+    const world = new World(100);
+    for (let i = 0; i < 30; i++) world.spawn().with(new Position(i, 0), ...(i % 2 ? [new Velocity(i, 0)] : []));
+    const moving = world.group(Position, Velocity);
+    expect(world.group(Velocity, Position)).toBe(moving);
+    expect(aligned(world, moving)).toBe(true);
+
+    let seed = 3;
+    const random = n => (seed = (seed * 16807) % 2147483647) % n;
+    const entities = world.all(Position);
+    for (let step = 0; step < 500; step++) {
+      const i = random(entities.length);
+      const type = random(2) ? Position : Velocity;
+      switch (random(5)) {
+        case 0: world.destroy(entities[i]); entities[i] = world.spawn().id; break;
+        case 1: case 2: world.removeComponent(entities[i], type); break;
+        default: world.addComponent(entities[i], new type(i, i));
+      }
+      expect(aligned(world, moving)).toBe(true);
+    }
+    world.spawnBatch(5, new Velocity(), new Position());
+    expect(aligned(world, moving)).toBe(true);
+
+    const visited = [];
+    moving.forEach((entity, position, velocity) => {
+      expect(position).toBe(world.getComponent(entity, Position));
+      expect(velocity).toBe(world.getComponent(entity, Velocity));
+      visited.push(entity);
+    });
+    expect(visited).toEqual(moving.toArray());
+    expect(visited.every(entity => moving.has(entity))).toBe(true);
+  });
+
+  test('lines up columns', () => {
+    const world = new World(10);
+    world.registerComponent('Body', { schema: { x: 'f32', dX: 'f32' } });
+    world.registerComponent('Moving', { tag: true });
+    world.spawn().add({ type: 'Body', x: 1, dX: 0 });
+    const tagged = world.spawn().with({ type: 'Body', x: 2, dX: 1 });
+    const bodies = world.group('Body', 'Moving');
+    tagged.tag('Moving');
+    expect(bodies.size).toBe(1);
+    expect(world.getPool('Body').column('x')[0]).toBe(2);
+    expect(() => world.group('Body', 'Other')).toThrow('already owned');
+  });
+});
+
+describe('sorting', () => {
+  const sprites = () => {
+    const world = new World(20);
+    const entities = [5, 1, 4, 2, 3].map(z => world.spawn().with({ type: 'Sprite', z }).id);
+    return { world, entities };
+  };
+
+  test('sorts pools in place', () => {
+    const { world, entities } = sprites();
+    expect(world.sortComponents('Sprite', (a, b) => a.z - b.z)).toBe(true);
+    expect([...world.getPool('Sprite').values()].map(({ z }) => z)).toEqual([1, 2, 3, 4, 5]);
+    expect(world.getComponent(entities[0], 'Sprite').z).toBe(5);
+    expect(world.all('Sprite')).toEqual([entities[1], entities[3], entities[4], entities[2], entities[0]]);
+    world.getPool('Sprite').sort((a, b, entityA, entityB) => entityB - entityA);
+    expect(world.all('Sprite')).toEqual([...entities].reverse());
+    expect(world.sortComponents('Missing', () => 0)).toBe(false);
+  });
+
+  test('sorts grouped pools within the group', () => {
+    const { world, entities } = sprites();
+    const visible = world.group('Sprite', 'Visible');
+    for (const entity of entities.slice(1)) world.addComponent(entity, { type: 'Visible' });
+    world.sortComponents('Sprite', (a, b) => b.z - a.z);
+    expect(visible.toArray()).toEqual([entities[2], entities[4], entities[3], entities[1]]);
+    expect(world.getPool('Visible').entityAt(0)).toBe(entities[2]);
+    expect(world.getPool('Sprite').entityAt(4)).toBe(entities[0]);
+
+    expect(() => world.getPool('Sprite').sort((a, b) => a.z - b.z)).toThrow('owned by a group');
+    expect(() => world.getPool('Visible').swap(0, 1)).toThrow('owned by a group');
+    world.deregisterComponent('Visible');
+    expect(world.getPool('Sprite').owned).toBe(false);
+    world.getPool('Sprite').sort((a, b) => a.z - b.z);
+  });
+
+  test('keeps pools sorted by entity', () => {
+    const world = new World(20);
+    world.registerComponent('Replay', { sorted: true });
+    const entities = Array.from({ length: 8 }, () => world.spawn().id);
+    for (const i of [6, 2, 7, 0, 4]) world.addComponent(entities[i], { type: 'Replay', i });
+    world.removeComponent(entities[2], 'Replay');
+    world.addComponent(entities[3], { type: 'Replay', i: 3 });
+    expect([...world.getPool('Replay').values()].map(({ i }) => i)).toEqual([0, 3, 4, 6, 7]);
+    expect(world.getComponent(entities[6], 'Replay').i).toBe(6);
+    expect(() => world.sortComponents('Replay', () => 0)).toThrow('kept sorted');
+    expect(() => world.group('Replay')).toThrow('cannot be grouped');
+  });
+});
+
+describe('events', () => {
+  test('reach systems before and after the sender exactly once', () => {
+    const world = new World(10);
+    const seen = { before: [], after: [] };
+    world.system({ name: 'before', priority: 2, run: (_, { events }) => seen.before.push(events('Damage').read()) });
+    world.system({ name: 'sender', priority: 1, run: (_, { dt }) => dt && world.emit('Damage', { amount: dt }) });
+    world.system({ name: 'after', priority: 0, run: (_, { events }) => seen.after.push(events('Damage').read()) });
+
+    world.update(1);
+    world.update(0);
+    world.update(2);
+    world.update(0);
+    world.update(0);
+    expect(seen.before).toEqual([[], [{ amount: 1 }], [], [{ amount: 2 }], []]);
+    expect(seen.after).toEqual([[{ amount: 1 }], [], [{ amount: 2 }], [], []]);
+  });
+
+  test('give readers their own cursors and drop events after one update', () => {
+    const world = new World(10);
+    const early = world.events('Hit');
+    world.emit('Hit', 1).emit('Hit', 2);
+    const late = world.events('Hit');
+    expect(early.size).toBe(2);
+    expect([...early]).toEqual([1, 2]);
+    expect(early.read()).toEqual([]);
+
+    world.update();
+    world.emit('Hit', 3);
+    expect(late.read()).toEqual([1, 2, 3]);
+    expect(world.events('Hit').read()).toEqual([1, 2, 3]);
+
+    world.update();
+    world.update();
+    expect(early.size).toBe(0);
+    expect(early.read()).toEqual([]);
+  });
+});